@@ -1,12 +1,15 @@
 // ==UserScript==
 // @name         Audio player in header
 // @namespace    https://dtf.ru/
-// @version      2026-02-01
+// @version      2026-10-19
 // @description  Pin playing audio into the header with post link
 // @author       g0ated <https://dtf.ru/id79490>
 // @match        https://dtf.ru/*
 // @run-at       document-start
-// @grant        none
+// @grant        GM_getValue
+// @grant        GM_setValue
+// @grant        GM_registerMenuCommand
+// @grant        unsafeWindow
 // ==/UserScript==
 
 (() => {
@@ -18,12 +21,136 @@
   const HOST_ID = '__dtfPinnedAudioHost';
   const AUDIO_ID = '__dtfPinnedAudioPlayer';
   const LINK_ID = '__dtfPinnedAudioLink';
+  const PREV_ID = '__dtfPinnedAudioPrev';
+  const NEXT_ID = '__dtfPinnedAudioNext';
+  const REMOTE_ID = '__dtfPinnedAudioRemote';
+  const PLAY_ID = '__dtfPinnedAudioPlay';
+  const TIME_ID = '__dtfPinnedAudioTime';
+  const PROGRESS_ID = '__dtfPinnedAudioProgress';
+  const VOLUME_ID = '__dtfPinnedAudioVolume';
+  const VOLUME_POPOVER_ID = '__dtfPinnedAudioVolumePopover';
+  const SPEED_ID = '__dtfPinnedAudioSpeed';
+  const CLOSE_ID = '__dtfPinnedAudioClose';
+  const HISTORY_ID = '__dtfPinnedAudioHistory';
+  const SHARE_ID = '__dtfPinnedAudioShare';
+  const SLEEP_ID = '__dtfPinnedAudioSleep';
+  const SLEEP_POPOVER_ID = '__dtfPinnedAudioSleepPopover';
+  const RESUME_OFFER_ID = '__dtfPinnedAudioResumeOffer';
+  const DOWNLOAD_ID = '__dtfPinnedAudioDownload';
+  const DOWNLOAD_POPOVER_ID = '__dtfPinnedAudioDownloadPopover';
+  const HISTORY_PANEL_ID = '__dtfPinnedAudioHistoryPanel';
+  const VIDEO_DOCK_ID = '__dtfPinnedVideo';
+  const DOCK_ID = '__dtfPinnedAudioDock';
+  const OSD_ID = '__dtfPinnedAudioOsd';
+  const HOTKEYS_OVERLAY_ID = '__dtfPinnedAudioHotkeysOverlay';
+  const STORAGE_KEY = 'dtf_pinned_audio_track';
+  /** A saved track older than this is not offered for resuming any more. */
+  const SAVED_TRACK_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+  const SAVE_INTERVAL_MS = 5000;
+  const CHANNEL_NAME = 'dtf_pinned_audio';
+  const TAKEOVER_TIMEOUT_MS = 1500;
+  const TAB_ID = Math.random().toString(36).slice(2);
+  const HOTKEYS_KEY = 'dtf_pinned_audio_hotkeys';
+  /** The site's own dark theme switch on <html>; the OS color scheme may differ from it. */
+  const DARK_THEME_SELECTOR = ':is(html.dark, html[data-theme="dark"])';
+  const HISTORY_KEY = 'dtf_pinned_audio_history';
+  const HISTORY_LIMIT = 200;
+  const VIDEO_PIN_KEY = 'dtf_pinned_video_enabled';
+  const DEEP_LINK_RE = /^#audio-(\d+)(?:-t-(\d+))?$/;
+  const DEEP_LINK_TIMEOUT_MS = 15000;
+  const COMMENT_SELECTOR = '[data-comment-id], .comment[data-id], .comment[id^="comment"]';
+  const COMMENT_FOCUS_TIMEOUT_MS = 15000;
+  const COMMENT_HIGHLIGHT_MS = 2500;
+  const SLEEP_PRESETS = [15, 30, 45, 60, 90];
+  const SLEEP_FADE_SECONDS = 10;
+  const SLEEP_TICK_MS = 250;
+  const POSITIONS_KEY = 'dtf_pinned_audio_positions';
+  const POSITIONS_LIMIT = 500;
+  const RESUME_MIN_SECONDS = 5;
+  const RESUME_OFFER_MS = 20000;
+  /** @type {Record<string, string>} MIME type -> file extension. */
+  const AUDIO_EXTENSIONS = {
+    'audio/mpeg': 'mp3',
+    'audio/mp3': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/x-m4a': 'm4a',
+    'audio/aac': 'aac',
+    'audio/ogg': 'ogg',
+    'audio/opus': 'opus',
+    'audio/wav': 'wav',
+    'audio/x-wav': 'wav',
+    'audio/flac': 'flac',
+    'audio/webm': 'webm'
+  };
+  const OSD_DURATION_MS = 1200;
+  const VOLUME_STEP = 0.05;
+  const SPEED_STEP = 0.25;
+  const MIN_SPEED = 0.25;
+  const MAX_SPEED = 4;
+  const SPEED_PRESETS = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3];
 
   let hostEl = null;
+  /** @type {HTMLDivElement|null} Bottom bar used when the header is unavailable. */
+  let dockEl = null;
+  /** @type {Element|null} */
+  let observedHeader = null;
+  let headerInView = true;
+  /** @type {IntersectionObserver|null} */
+  let headerObserver = null;
   let headerAudio = null;
   let sourceAudio = null;
   let currentTrack = null;
   let syncing = false;
+  /** @type {HTMLAudioElement[]} Source audio elements in document order. */
+  let queue = [];
+  /** Saved track waiting for the header to appear. */
+  let pendingRestore = null;
+  let lastSaveAt = 0;
+  /** @type {BroadcastChannel|null} */
+  let channel = null;
+  /** Last state announced by the tab that holds playback elsewhere. */
+  let remoteOwner = null;
+  /**
+   * Whether this tab played the current track since restoring it, and no other tab
+   * took playback since. Other tabs only hold a stale position, which they must not save.
+   */
+  let ownsPlayback = false;
+  let takeoverTimer = 0;
+  let osdTimer = 0;
+  /** Position shown while the progress bar is being dragged. */
+  let seekPreview = null;
+  /** Listened seconds not yet written to the history entry. */
+  let pendingListened = 0;
+  let lastListenTime = null;
+  /** @type {HTMLDivElement|null} Floating video mini-player. */
+  let miniEl = null;
+  /** @type {HTMLVideoElement|null} */
+  let miniVideo = null;
+  /** @type {HTMLVideoElement|null} */
+  let miniSource = null;
+  let miniTrack = null;
+  /** @type {HTMLVideoElement|null} Video the user plays inline. */
+  let watchedVideo = null;
+  let watchedVideoPlaying = false;
+  /** Post link of the watched video, looked up while it is still on the page. */
+  let watchedVideoLink = null;
+  /** @type {IntersectionObserver|null} */
+  let videoObserver = null;
+  /** Source video to resume once SPA navigation renders it. */
+  let pendingDock = null;
+  /** Deep link fragment being resolved for the current page. */
+  let deepLink = null;
+  /** Comment to scroll to once SPA navigation renders it. */
+  let pendingCommentFocus = null;
+  /**
+   * Armed sleep timer. A 'time' timer holds `pausedLeft` (ms) instead of counting down while the player is paused.
+   * @type {{ mode: 'time', endsAt: number, pausedLeft?: number }|{ mode: 'track' }|null}
+   */
+  let sleepTimer = null;
+  let sleepTicker = 0;
+  /** Volume the sleep fade-out started from; set while fading. */
+  let fadeBaseVolume = null;
+  let resumeOfferTimer = 0;
 
   /**
    * Injects the player styles once.
@@ -48,49 +175,556 @@
   overflow: hidden;
   padding: 2px 0;
 }
+#${DOCK_ID} {
+  position: fixed;
+  left: 0;
+  right: 0;
+  bottom: 0;
+  z-index: 2147483645;
+  display: flex;
+  padding: 4px 12px;
+  color-scheme: light;
+  background: rgba(246, 247, 249, 0.97);
+  color: #111827;
+  border-top: 1px solid rgba(17, 24, 39, 0.12);
+  box-shadow: 0 -6px 20px rgba(0,0,0,.12);
+  font: 14px/1.3 system-ui, sans-serif;
+}
+${DARK_THEME_SELECTOR} #${DOCK_ID} {
+  color-scheme: dark;
+  background: rgba(24, 24, 27, 0.97);
+  color: rgba(255, 255, 255, 0.92);
+  border-top-color: rgba(255, 255, 255, 0.14);
+}
+#${DOCK_ID}[hidden] { display: none; }
+#${DOCK_ID} #${HOST_ID} { max-height: none; }
+#${HOST_ID} .__dtfPinnedAudioRow {
+  display: flex;
+  align-items: center;
+  gap: 4px;
+  min-width: 0;
+}
+#${HOST_ID} .__dtfPinnedAudioBtn {
+  flex: 0 0 auto;
+  border: 0;
+  background: transparent;
+  color: inherit;
+  opacity: .75;
+  cursor: pointer;
+  padding: 0 4px;
+  line-height: 1;
+  font: inherit;
+}
+#${HOST_ID} .__dtfPinnedAudioBtn:hover { opacity: 1; }
+#${HOST_ID} .__dtfPinnedAudioBtn:disabled {
+  opacity: .3;
+  cursor: default;
+}
 #${HOST_ID} a {
   color: inherit;
   text-decoration: none;
   font-weight: 600;
   display: block;
+  flex: 1 1 auto;
+  min-width: 0;
   max-width: 100%;
   overflow: hidden;
   text-overflow: ellipsis;
   white-space: nowrap;
-  line-height: 1;
+  line-height: 1.2;
 }
 #${HOST_ID} a:hover { text-decoration: underline; }
-#${HOST_ID} audio {
+#${HOST_ID}.__dtfPinnedAudioResume #${LINK_ID}::before {
+  content: 'Resume: ';
+  font-weight: 400;
+  opacity: .7;
+}
+#${HOST_ID} [hidden] { display: none !important; }
+#${HOST_ID} audio { display: none; }
+#${LINK_ID} { text-overflow: clip; }
+.__dtfPinnedAudioTitle { display: inline-block; }
+.__dtfPinnedAudioTitle.__dtfPinnedAudioMarquee {
+  animation: __dtfPinnedAudioMarquee var(--dtf-marquee-duration, 8s) ease-in-out infinite alternate;
+}
+#${LINK_ID}:hover .__dtfPinnedAudioMarquee { animation-play-state: paused; }
+@keyframes __dtfPinnedAudioMarquee {
+  0%, 15% { transform: translateX(0); }
+  85%, 100% { transform: translateX(calc(-1 * var(--dtf-marquee-shift, 0px))); }
+}
+#${PLAY_ID} {
+  width: 22px;
+  opacity: 1;
+}
+#${TIME_ID} {
+  flex: 0 0 auto;
+  font-size: 12px;
+  opacity: .7;
+  font-variant-numeric: tabular-nums;
+  white-space: nowrap;
+}
+#${SPEED_ID} {
+  flex: 0 0 auto;
+  border: 0;
+  background: transparent;
+  color: inherit;
+  font: inherit;
+  font-size: 12px;
+  opacity: .75;
+  cursor: pointer;
+}
+#${SPEED_ID} option { color: initial; }
+#${PROGRESS_ID} {
+  position: relative;
+  flex: 0 0 auto;
+  height: 4px;
+  margin: 4px 4px;
+  border-radius: 999px;
+  background: color-mix(in srgb, currentColor 15%, transparent);
+  cursor: pointer;
+  touch-action: none;
+}
+#${PROGRESS_ID}::before {
+  content: '';
+  position: absolute;
+  inset: -5px 0;
+}
+#${PROGRESS_ID}:focus-visible { outline: 2px solid color-mix(in srgb, currentColor 50%, transparent); }
+.__dtfPinnedAudioBuffered > div,
+.__dtfPinnedAudioPlayed {
+  position: absolute;
+  top: 0;
+  bottom: 0;
+  border-radius: inherit;
+  pointer-events: none;
+}
+.__dtfPinnedAudioBuffered > div { background: color-mix(in srgb, currentColor 20%, transparent); }
+.__dtfPinnedAudioPlayed {
+  left: 0;
+  background: currentColor;
+}
+#${HOST_ID} .__dtfPinnedAudioPopover {
+  position: fixed;
+  z-index: 2147483647;
+  transform: translateX(-50%);
+  padding: 8px 10px;
+  border-radius: 10px;
+  color-scheme: light;
+  background: rgba(246, 247, 249, 0.98);
+  color: #111827;
+  border: 1px solid rgba(17, 24, 39, 0.12);
+  box-shadow: 0 10px 26px rgba(0,0,0,.18);
+  font-weight: 400;
+}
+${DARK_THEME_SELECTOR} #${HOST_ID} .__dtfPinnedAudioPopover {
+  color-scheme: dark;
+  background: rgba(24, 24, 27, 0.98);
+  color: rgba(255, 255, 255, 0.92);
+  border-color: rgba(255, 255, 255, 0.14);
+}
+#${VOLUME_POPOVER_ID} input {
+  display: block;
+  width: 120px;
+  margin: 0;
+}
+#${HISTORY_PANEL_ID} {
+  width: 380px;
+  max-width: calc(100vw - 16px);
+  font-size: 13px;
+}
+.__dtfPinnedAudioHistoryList {
+  max-height: 50vh;
+  overflow-y: auto;
+  margin: 0 -4px;
+}
+.__dtfPinnedAudioHistoryItem {
+  display: flex;
+  align-items: center;
+  gap: 4px;
+  border-radius: 8px;
+}
+.__dtfPinnedAudioHistoryItem:hover { background: rgba(127,127,127,.12); }
+.__dtfPinnedAudioHistoryCurrent { font-weight: 600; }
+.__dtfPinnedAudioHistoryPlay {
+  flex: 1 1 auto;
+  min-width: 0;
+  display: flex;
+  flex-direction: column;
+  align-items: flex-start;
+  padding: 4px;
+  border: 0;
+  background: transparent;
+  color: inherit;
+  font: inherit;
+  text-align: left;
+  cursor: pointer;
+}
+.__dtfPinnedAudioHistoryPlay > * {
+  max-width: 100%;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+}
+.__dtfPinnedAudioHistoryPlay small { opacity: .65; }
+.__dtfPinnedAudioHistoryEmpty {
+  padding: 8px 4px;
+  opacity: .65;
+}
+#${HISTORY_PANEL_ID} .__dtfPinnedAudioOverlayFooter { justify-content: flex-end; }
+#${RESUME_OFFER_ID} {
+  border: 1px solid color-mix(in srgb, currentColor 35%, transparent);
+  border-radius: 6px;
+  padding: 2px 6px;
+  font-size: 12px;
+  opacity: 1;
+  white-space: nowrap;
+}
+#${HOST_ID}.__dtfPinnedAudioFinished #${LINK_ID}::after {
+  content: ' ✓';
+  font-weight: 400;
+  opacity: .7;
+}
+#${SLEEP_ID} {
+  font-variant-numeric: tabular-nums;
+  white-space: nowrap;
+}
+#${SLEEP_ID}.__dtfPinnedAudioSleepActive {
+  opacity: 1;
+  font-size: 12px;
+}
+#${SLEEP_POPOVER_ID} {
+  width: 200px;
+  font-size: 13px;
+}
+#${DOWNLOAD_POPOVER_ID} {
+  display: flex;
+  flex-direction: column;
+  align-items: stretch;
+  font-size: 13px;
+}
+#${DOWNLOAD_POPOVER_ID}[hidden] { display: none; }
+#${DOWNLOAD_POPOVER_ID} .__dtfPinnedAudioBtn {
+  padding: 4px 6px;
+  text-align: left;
+}
+#${DOWNLOAD_POPOVER_ID} .__dtfPinnedAudioBtn:hover { background: rgba(127,127,127,.18); }
+.__dtfPinnedAudioSleepPresets {
+  display: grid;
+  grid-template-columns: repeat(3, 1fr);
+  gap: 2px;
+}
+#${SLEEP_POPOVER_ID} .__dtfPinnedAudioBtn { padding: 4px 6px; }
+#${SLEEP_POPOVER_ID} .__dtfPinnedAudioBtn:hover { background: rgba(127,127,127,.18); }
+#${SLEEP_POPOVER_ID} form {
+  display: flex;
+  gap: 4px;
+  margin: 6px 0;
+}
+#${SLEEP_POPOVER_ID} input {
+  flex: 1 1 auto;
+  min-width: 0;
+  font: inherit;
+}
+#${VIDEO_DOCK_ID} {
+  position: fixed;
+  right: 16px;
+  bottom: 16px;
+  z-index: 2147483646;
+  display: flex;
+  flex-direction: column;
+  width: 400px;
+  height: 260px;
+  min-width: 220px;
+  min-height: 150px;
+  max-width: calc(100vw - 16px);
+  max-height: calc(100vh - 16px);
+  resize: both;
+  overflow: hidden;
+  border-radius: 10px;
+  background: #000;
+  color: #fff;
+  box-shadow: 0 14px 40px rgba(0,0,0,.45);
+  font: 13px/1.2 system-ui, sans-serif;
+}
+#${VIDEO_DOCK_ID}[hidden] { display: none; }
+.__dtfPinnedVideoBar {
+  display: flex;
+  align-items: center;
+  gap: 4px;
+  padding: 4px 6px;
+  cursor: move;
+  user-select: none;
+  touch-action: none;
+}
+.__dtfPinnedVideoBar a {
+  flex: 1 1 auto;
+  min-width: 0;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+  color: inherit;
+  font-weight: 600;
+  text-decoration: none;
+  cursor: pointer;
+}
+.__dtfPinnedVideoBar a:hover { text-decoration: underline; }
+.__dtfPinnedVideoBar .__dtfPinnedAudioBtn {
+  border: 0;
+  background: transparent;
+  color: inherit;
+  opacity: .75;
+  cursor: pointer;
+  padding: 2px 6px;
+  font: inherit;
+}
+.__dtfPinnedVideoBar .__dtfPinnedAudioBtn:hover { opacity: 1; }
+#${VIDEO_DOCK_ID} video {
+  flex: 1 1 auto;
+  min-height: 0;
   width: 100%;
-  height: 28px;
+  object-fit: contain;
+  background: #000;
 }
+#${REMOTE_ID} {
+  font-size: 12px;
+  opacity: .85;
+}
+#${REMOTE_ID} a { font-weight: 400; }
 @media (max-width: 900px) {
   #${HOST_ID} { max-width: 100%; }
 }
+#${OSD_ID} {
+  position: fixed;
+  top: 20%;
+  left: 50%;
+  transform: translateX(-50%);
+  z-index: 2147483647;
+  padding: 8px 14px;
+  border-radius: 10px;
+  background: rgba(0, 0, 0, .75);
+  color: #fff;
+  font: 600 15px/1.2 system-ui, sans-serif;
+  font-variant-numeric: tabular-nums;
+  pointer-events: none;
+  opacity: 0;
+  transition: opacity .2s;
+}
+#${OSD_ID}.__dtfPinnedAudioOsdVisible { opacity: 1; }
+.__dtfPinnedAudioCommentHighlight {
+  outline: 2px solid color-mix(in srgb, currentColor 40%, transparent);
+  outline-offset: 4px;
+  border-radius: 8px;
+  animation: __dtfPinnedAudioCommentHighlight ${COMMENT_HIGHLIGHT_MS}ms ease-out;
+}
+@keyframes __dtfPinnedAudioCommentHighlight {
+  from { background-color: rgba(250, 204, 21, .35); }
+  to { background-color: transparent; }
+}
+#${HOTKEYS_OVERLAY_ID} {
+  position: fixed;
+  right: 16px;
+  bottom: 16px;
+  z-index: 2147483647;
+  width: 360px;
+  max-width: calc(100vw - 32px);
+  padding: 12px;
+  border-radius: 12px;
+  color-scheme: light;
+  background: rgba(246, 247, 249, 0.96);
+  color: #111827;
+  border: 1px solid rgba(17, 24, 39, 0.12);
+  box-shadow: 0 10px 26px rgba(0,0,0,.18);
+  font: 14px/1.3 system-ui, sans-serif;
+}
+${DARK_THEME_SELECTOR} #${HOTKEYS_OVERLAY_ID} {
+  color-scheme: dark;
+  background: rgba(24, 24, 27, 0.94);
+  color: rgba(255, 255, 255, 0.92);
+  border-color: rgba(255, 255, 255, 0.14);
+  box-shadow: 0 14px 40px rgba(0,0,0,.55), 0 0 0 1px rgba(0,0,0,.15);
+}
+#${HOTKEYS_OVERLAY_ID} .__dtfPinnedAudioBtn {
+  border: 0;
+  background: transparent;
+  color: inherit;
+  opacity: .75;
+  cursor: pointer;
+  padding: 4px 6px;
+  border-radius: 8px;
+  font: inherit;
+}
+#${HOTKEYS_OVERLAY_ID} .__dtfPinnedAudioBtn:hover {
+  opacity: 1;
+  background: rgba(127,127,127,.18);
+}
+.__dtfPinnedAudioOverlayHeader,
+.__dtfPinnedAudioOverlayFooter {
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: 8px;
+}
+.__dtfPinnedAudioOverlayHeader { margin-bottom: 10px; }
+.__dtfPinnedAudioOverlayFooter {
+  margin-top: 10px;
+  font-size: 12px;
+  opacity: .75;
+}
+.__dtfPinnedAudioOverlayTitle { font-weight: 600; }
+.__dtfPinnedAudioHotkeys {
+  display: grid;
+  grid-template-columns: 1fr auto;
+  align-items: center;
+  gap: 4px 10px;
+}
+.__dtfPinnedAudioKey {
+  min-width: 110px;
+  padding: 3px 8px;
+  border: 1px solid rgba(127,127,127,.35);
+  border-radius: 6px;
+  background: rgba(127,127,127,.1);
+  color: inherit;
+  font: inherit;
+  font-variant-numeric: tabular-nums;
+  cursor: pointer;
+}
 `;
     document.documentElement.appendChild(style);
   }
 
   /**
-   * Ensures the host container exists in the header.
+   * Returns the header container if it is rendered and in view.
+   * A hidden (display: none) header never intersects, so the IntersectionObserver
+   * state covers both cases without forcing layout here.
+   * @returns {Element|null}
+   */
+  function findHeader() {
+    const header = document.querySelector('.header__main');
+    watchHeader(header);
+    if (!header || !headerInView) return null;
+    return header;
+  }
+
+  /**
+   * Tracks whether the header container is scrolled or collapsed out of view.
+   * @param {Element|null} header
+   */
+  function watchHeader(header) {
+    if (header === observedHeader || typeof IntersectionObserver !== 'function') return;
+    headerObserver ??= new IntersectionObserver((entries) => {
+      const entry = entries[entries.length - 1];
+      if (entry.target !== observedHeader) return;
+      const inView = entry.isIntersecting && entry.intersectionRect.height > 0;
+      if (inView === headerInView) return;
+      headerInView = inView;
+      if (hostEl) ensureHost();
+    });
+    if (observedHeader) headerObserver.unobserve(observedHeader);
+    observedHeader = header;
+    headerInView = true;
+    if (header) headerObserver.observe(header);
+  }
+
+  /**
+   * Ensures the fallback bottom bar exists.
+   * @returns {HTMLDivElement|null}
+   */
+  function ensureDock() {
+    if (!document.body) return null;
+    if (!dockEl) {
+      dockEl = document.createElement('div');
+      dockEl.id = DOCK_ID;
+      dockEl.hidden = true;
+    }
+    if (!dockEl.isConnected) document.body.appendChild(dockEl);
+    return dockEl;
+  }
+
+  /**
+   * Shows the bottom bar only while it holds a visible host.
+   */
+  function updateDockVisibility() {
+    if (!dockEl) return;
+    dockEl.hidden = !hostEl || hostEl.parentElement !== dockEl || hostEl.style.display !== 'flex';
+  }
+
+  /**
+   * Ensures the host container exists in the header, or in the bottom bar
+   * when the header is missing, hidden or out of view.
    * @returns {HTMLDivElement|null}
    */
   function ensureHost() {
     ensureStyles();
 
-    const header = document.querySelector('.header__main');
-    if (!header) return null;
+    const parent = findHeader() || ensureDock();
+    if (!parent) return null;
 
     if (!hostEl) {
       hostEl = document.createElement('div');
       hostEl.id = HOST_ID;
       hostEl.innerHTML = `
-<a id="${LINK_ID}" href="#" rel="noopener" data-router-link>Audio</a>
+<div class="__dtfPinnedAudioRow">
+  <button id="${PREV_ID}" class="__dtfPinnedAudioBtn" type="button" title="Previous track" aria-label="Previous track" disabled>⏮</button>
+  <button id="${PLAY_ID}" class="__dtfPinnedAudioBtn" type="button" title="Play" aria-label="Play">▶</button>
+  <button id="${NEXT_ID}" class="__dtfPinnedAudioBtn" type="button" title="Next track" aria-label="Next track" disabled>⏭</button>
+  <a id="${LINK_ID}" href="#" rel="noopener" data-router-link><span class="__dtfPinnedAudioTitle">Audio</span></a>
+  <button id="${HISTORY_ID}" class="__dtfPinnedAudioBtn" type="button" title="Listening history" aria-label="Listening history">▾</button>
+  <button id="${RESUME_OFFER_ID}" class="__dtfPinnedAudioBtn" type="button" hidden></button>
+  <span id="${TIME_ID}">0:00 / –:––</span>
+  <button id="${SHARE_ID}" class="__dtfPinnedAudioBtn" type="button" title="Copy link at current time" aria-label="Copy link at current time">🔗</button>
+  <button id="${DOWNLOAD_ID}" class="__dtfPinnedAudioBtn" type="button" title="Download" aria-label="Download">⤓</button>
+  <button id="${SLEEP_ID}" class="__dtfPinnedAudioBtn" type="button" title="Sleep timer" aria-label="Sleep timer">⏾</button>
+  <button id="${VOLUME_ID}" class="__dtfPinnedAudioBtn" type="button" title="Volume" aria-label="Volume">🔊</button>
+  <select id="${SPEED_ID}" title="Playback speed" aria-label="Playback speed">
+    ${SPEED_PRESETS.map((r) => `<option value="${r}">${r}×</option>`).join('')}
+  </select>
+  <button id="${CLOSE_ID}" class="__dtfPinnedAudioBtn" type="button" title="Close player" aria-label="Close player">✕</button>
+</div>
+<div id="${PROGRESS_ID}" role="slider" tabindex="0" aria-label="Seek" aria-valuemin="0">
+  <div class="__dtfPinnedAudioBuffered"></div>
+  <div class="__dtfPinnedAudioPlayed"></div>
+</div>
+<div id="${VOLUME_POPOVER_ID}" class="__dtfPinnedAudioPopover" hidden>
+  <input type="range" min="0" max="100" step="1" aria-label="Volume">
+</div>
+<div id="${SLEEP_POPOVER_ID}" class="__dtfPinnedAudioPopover" hidden>
+  <div class="__dtfPinnedAudioSleepPresets">
+    ${SLEEP_PRESETS.map((m) => `<button class="__dtfPinnedAudioBtn" data-sleep="${m}" type="button">${m} min</button>`).join('')}
+  </div>
+  <form>
+    <input type="number" min="1" max="1440" step="1" placeholder="Minutes" aria-label="Minutes">
+    <button class="__dtfPinnedAudioBtn" type="submit">Set</button>
+  </form>
+  <button class="__dtfPinnedAudioBtn" data-sleep="track" type="button">End of current track</button>
+  <button class="__dtfPinnedAudioBtn" data-sleep="off" type="button">Off</button>
+</div>
+<div id="${DOWNLOAD_POPOVER_ID}" class="__dtfPinnedAudioPopover" hidden>
+  <button class="__dtfPinnedAudioBtn" data-download-track type="button">Download this track</button>
+  <button class="__dtfPinnedAudioBtn" data-download-post type="button">Download all audio in the post</button>
+</div>
+<div id="${HISTORY_PANEL_ID}" class="__dtfPinnedAudioPopover" hidden>
+  <div class="__dtfPinnedAudioOverlayHeader">
+    <div class="__dtfPinnedAudioOverlayTitle">Listening history</div>
+  </div>
+  <div class="__dtfPinnedAudioHistoryList"></div>
+  <div class="__dtfPinnedAudioOverlayFooter">
+    <button class="__dtfPinnedAudioBtn" data-export-json type="button">Export JSON</button>
+    <button class="__dtfPinnedAudioBtn" data-export-m3u type="button">Export M3U</button>
+    <button class="__dtfPinnedAudioBtn" data-clear type="button">Clear</button>
+  </div>
+</div>
+<div id="${REMOTE_ID}" class="__dtfPinnedAudioRow" hidden>
+  <a href="#" rel="noopener" data-router-link></a>
+  <button class="__dtfPinnedAudioBtn" type="button" title="Continue playback in this tab">Take over</button>
+</div>
 `;
+      updateQueueButtons();
+      updateRemoteNotice();
     }
 
-    if (hostEl.parentElement !== header) {
-      header.appendChild(hostEl);
+    if (hostEl.parentElement !== parent) {
+      parent.appendChild(hostEl);
+      updateDockVisibility();
+      updateMarquee();
     }
 
     return hostEl;
@@ -102,6 +736,7 @@
   function showHost() {
     const host = ensureHost();
     if (host) host.style.display = 'flex';
+    updateDockVisibility();
   }
 
   /**
@@ -109,6 +744,7 @@
    */
   function hideHost() {
     if (hostEl) hostEl.style.display = 'none';
+    updateDockVisibility();
   }
 
   /**
@@ -154,31 +790,143 @@
   }
 
   /**
-   * Updates the header link to point to the source post.
+   * Collects author and avatar of the post around the audio source element.
+   * The subsite avatar is preferred over the author's one.
+   * @param {Element} fromEl
+   * @returns {{ author: string|null, artwork: string|null }}
+   */
+  function findPostMeta(fromEl) {
+    let node = fromEl;
+    while (node && node !== document.documentElement) {
+      if (node.querySelector?.('.content-header')) {
+        const author = node.querySelector(
+          '.content-header-author__name, .content-header__author, .author__name'
+        )?.textContent?.trim();
+        const avatar = node.querySelector(
+          '.content-header__subsite img, .subsite-card__avatar img, '
+          + '.content-header-author__avatar img, .content-header__avatar img, .author__avatar img'
+        );
+        return {
+          author: author || null,
+          artwork: avatar?.currentSrc || avatar?.src || null
+        };
+      }
+      node = node.parentElement;
+    }
+    return { author: null, artwork: null };
+  }
+
+  /**
+   * Reads the id of a comment element.
+   * @param {Element} commentEl
+   * @returns {string|null}
+   */
+  function getCommentId(commentEl) {
+    const id = commentEl.dataset.commentId || commentEl.dataset.id || commentEl.id?.replace(/\D+/g, '');
+    return id || null;
+  }
+
+  /**
+   * Finds the comment an audio element is attached to.
+   * @param {Element} fromEl
+   * @returns {{ id: string, author: string|null }|null}
+   */
+  function findComment(fromEl) {
+    const commentEl = fromEl.closest?.(COMMENT_SELECTOR);
+    const id = commentEl && getCommentId(commentEl);
+    if (!id) return null;
+    const author = commentEl.querySelector(
+      '.comment__author, .comment-user__name, .comment__user-name, .author__name'
+    )?.textContent?.trim();
+    return { id, author: author || null };
+  }
+
+  /**
+   * Finds a rendered comment element by id.
+   * @param {string} id
+   * @returns {Element|null}
+   */
+  function findCommentElement(id) {
+    return [...document.querySelectorAll(COMMENT_SELECTOR)].find((el) => getCommentId(el) === id) || null;
+  }
+
+  /**
+   * Scrolls to a comment and briefly highlights it.
+   * @param {Element} commentEl
+   */
+  function highlightComment(commentEl) {
+    commentEl.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    commentEl.classList.remove('__dtfPinnedAudioCommentHighlight');
+    void commentEl.offsetWidth;
+    commentEl.classList.add('__dtfPinnedAudioCommentHighlight');
+    setTimeout(() => commentEl.classList.remove('__dtfPinnedAudioCommentHighlight'), COMMENT_HIGHLIGHT_MS);
+  }
+
+  /**
+   * Highlights the comment requested by the header link once it is rendered.
+   */
+  function checkCommentFocus() {
+    if (!pendingCommentFocus) return;
+    if (Date.now() > pendingCommentFocus.deadline) {
+      pendingCommentFocus = null;
+      return;
+    }
+    const commentEl = findCommentElement(pendingCommentFocus.id);
+    if (!commentEl) return;
+    pendingCommentFocus = null;
+    highlightComment(commentEl);
+  }
+
+  /**
+   * Updates the header link to point to the source post, or to the comment
+   * when the audio is attached to one.
    * @param {Element} fromEl
    */
   function setHeaderLink(fromEl) {
+    const postLink = findPostLink(fromEl);
+    if (postLink && currentTrack) {
+      const postTitle = postLink.textContent?.trim() || 'Audio';
+      const comment = findComment(fromEl);
+      const url = new URL(postLink.href, window.location.href);
+      if (comment) {
+        url.searchParams.set('comment', comment.id);
+        currentTrack.commentId = comment.id;
+        currentTrack.author = comment.author || currentTrack.author;
+        currentTrack.linkEl = null;
+        currentTrack.title = comment.author ? `💬 ${comment.author} · ${postTitle}` : `💬 ${postTitle}`;
+        currentTrack.postTitle = postTitle;
+      } else {
+        currentTrack.commentId = null;
+        currentTrack.linkEl = postLink;
+        currentTrack.title = postTitle;
+        currentTrack.postTitle = postTitle;
+      }
+      currentTrack.href = url.href;
+    }
+    renderHeaderLink();
+  }
+
+  /**
+   * Renders the header link from `currentTrack`.
+   */
+  function renderHeaderLink() {
     const host = ensureHost();
     if (!host) return;
     const linkEl = host.querySelector(`#${LINK_ID}`);
     if (!linkEl) return;
 
-    const postLink = findPostLink(fromEl);
-    if (postLink) {
-      const url = new URL(postLink.href, window.location.href);
+    const titleEl = linkEl.querySelector('.__dtfPinnedAudioTitle');
+    if (currentTrack?.href) {
+      const url = new URL(currentTrack.href, window.location.href);
       linkEl.href = url.pathname + url.search + url.hash;
-      linkEl.textContent = postLink.textContent?.trim() || 'Audio';
-      linkEl.title = linkEl.textContent;
-      if (currentTrack) {
-        currentTrack.href = linkEl.href;
-        currentTrack.linkEl = postLink;
-        currentTrack.title = linkEl.textContent;
-      }
+      titleEl.textContent = currentTrack.title || 'Audio';
+      linkEl.title = titleEl.textContent;
     } else {
       linkEl.href = '#';
-      linkEl.textContent = 'Audio';
+      titleEl.textContent = 'Audio';
       linkEl.removeAttribute('title');
     }
+    updateMarquee();
   }
 
   /**
@@ -187,135 +935,706 @@
    * @returns {string}
    */
   function getAudioSrc(el) {
-    return el?.currentSrc || el?.src || '';
+    return el?.currentSrc || el?.src || el?.querySelector?.('source[src]')?.src || '';
   }
 
   /**
-   * Removes the header audio element.
+   * Coerces a stored volume into [0, 1], defaulting to full volume.
+   * @param {unknown} x
+   * @returns {number}
    */
-  function detachHeaderAudio() {
-    if (headerAudio) {
-      headerAudio.pause();
-      headerAudio.remove();
-      headerAudio = null;
-    }
+  function clampVolume(x) {
+    x = Number(x);
+    if (!Number.isFinite(x)) return 1;
+    return Math.min(1, Math.max(0, x));
   }
 
   /**
-   * Restores and clears the current source audio element.
+   * Reads the per-track memory.
+   * @returns {Record<string, { time: number, rate: number, finished: boolean, updatedAt: number }>}
    */
-  function cleanupSourceAudio() {
-    if (!sourceAudio) return;
-    sourceAudio.muted = false;
-    delete sourceAudio.dataset.__dtfPinnedAudioSource;
-    sourceAudio = null;
+  function getPositions() {
+    const positions = GM_getValue(POSITIONS_KEY, null);
+    return positions && typeof positions === 'object' ? positions : {};
   }
 
   /**
-   * Clears the header player and source state.
+   * Updates the memory entry for a track, dropping the oldest entries over the limit.
+   * @param {string} src
+   * @param {Partial<ReturnType<typeof getPositions>[string]>} patch
    */
-  function clearPlayer() {
-    detachHeaderAudio();
-    cleanupSourceAudio();
-    hideHost();
-    currentTrack = null;
+  function updatePosition(src, patch) {
+    if (!src) return;
+    const positions = getPositions();
+    positions[src] = { time: 0, rate: 1, finished: false, ...positions[src], ...patch, updatedAt: Date.now() };
+    const srcs = Object.keys(positions);
+    if (srcs.length > POSITIONS_LIMIT) {
+      srcs.sort((a, b) => positions[a].updatedAt - positions[b].updatedAt);
+      for (const old of srcs.slice(0, srcs.length - POSITIONS_LIMIT)) delete positions[old];
+    }
+    GM_setValue(POSITIONS_KEY, positions);
   }
 
   /**
-   * Mirrors header playback time to the source element.
+   * Remembers position and speed of the current track. The position is left
+   * alone while a resume offer is shown, so starting over does not erase it.
    */
-  function syncSourceTime() {
-    if (!sourceAudio || !headerAudio) return;
-    if (syncing) return;
-    syncing = true;
-    try {
-      sourceAudio.currentTime = headerAudio.currentTime;
-      if (currentTrack) currentTrack.time = headerAudio.currentTime;
-    } finally {
-      syncing = false;
-    }
+  function rememberPosition() {
+    if (!currentTrack?.src || !headerAudio) return;
+    const patch = { rate: headerAudio.playbackRate };
+    if (!resumeOfferTimer) patch.time = headerAudio.currentTime;
+    updatePosition(currentTrack.src, patch);
   }
 
   /**
-   * Binds header audio event handlers.
+   * Applies the remembered speed of the current track and offers to resume
+   * from the remembered position.
+   * @param {number} startTime Position playback starts from.
    */
-  function attachHeaderAudioEvents() {
-    if (!headerAudio) return;
+  function applyTrackMemory(startTime) {
+    hideResumeOffer();
+    const memory = currentTrack?.src && getPositions()[currentTrack.src];
+    hostEl?.classList.toggle('__dtfPinnedAudioFinished', !!memory?.finished);
+    if (!memory || !headerAudio) return;
 
-    headerAudio.addEventListener('timeupdate', syncSourceTime);
-    headerAudio.addEventListener('seeked', syncSourceTime);
-    headerAudio.addEventListener('volumechange', () => {
-      if (!sourceAudio || !headerAudio) return;
-      sourceAudio.volume = headerAudio.volume;
-      if (currentTrack) currentTrack.volume = headerAudio.volume;
-    });
+    if (Number.isFinite(memory.rate) && memory.rate > 0) headerAudio.playbackRate = memory.rate;
+    if (memory.finished || startTime >= 1 || !(memory.time >= RESUME_MIN_SECONDS)) return;
 
-    headerAudio.addEventListener('ended', () => {
-      if (headerAudio?.loop) return;
-      clearPlayer();
-    });
+    const offer = hostEl?.querySelector(`#${RESUME_OFFER_ID}`);
+    if (!offer) return;
+    offer.dataset.time = String(memory.time);
+    offer.textContent = `Resume from ${formatTime(memory.time)}`;
+    offer.hidden = false;
+    resumeOfferTimer = setTimeout(hideResumeOffer, RESUME_OFFER_MS);
   }
 
   /**
-   * Creates the header audio element from the source.
-   * @param {HTMLAudioElement} fromEl
+   * Hides the resume offer.
    */
-  function makeHeaderAudio(fromEl) {
-    detachHeaderAudio();
+  function hideResumeOffer() {
+    clearTimeout(resumeOfferTimer);
+    resumeOfferTimer = 0;
+    const offer = hostEl?.querySelector(`#${RESUME_OFFER_ID}`);
+    if (offer) offer.hidden = true;
+  }
 
-    headerAudio = fromEl.cloneNode(true);
-    headerAudio.id = AUDIO_ID;
-    headerAudio.dataset.__dtfPinnedAudioHeader = '1';
-    headerAudio.muted = false;
-    headerAudio.volume = fromEl.volume;
-    headerAudio.playbackRate = fromEl.playbackRate;
+  /**
+   * Drops the finished mark of the current track once it plays again,
+   * so it is only set by the latest playthrough reaching the end.
+   */
+  function clearFinished() {
+    if (!currentTrack?.src || !getPositions()[currentTrack.src]?.finished) return;
+    updatePosition(currentTrack.src, { finished: false });
+    hostEl?.classList.remove('__dtfPinnedAudioFinished');
+  }
 
-    // Keep controls visible even if source lacked them.
-    headerAudio.controls = true;
+  /**
+   * Forgets all remembered positions and speeds.
+   */
+  function clearPositions() {
+    if (!confirm('Forget saved positions and speeds of all tracks?')) return;
+    GM_setValue(POSITIONS_KEY, {});
+    hostEl?.classList.remove('__dtfPinnedAudioFinished');
+    hideResumeOffer();
+    showOsd('Saved positions cleared');
+  }
 
-    headerAudio.currentTime = fromEl.currentTime || 0;
+  /**
+   * Persists the current track to userscript storage, or forgets it when
+   * nothing is pinned. Skipped while another tab owns playback.
+   */
+  function saveTrack() {
+    lastSaveAt = Date.now();
+    if (currentTrack && !ownsPlayback) return;
+    GM_setValue(STORAGE_KEY, snapshotTrack());
+    rememberPosition();
+  }
 
-    hostEl.appendChild(headerAudio);
-    attachHeaderAudioEvents();
+  /**
+   * Returns a serializable copy of the current track.
+   * @returns {object|null}
+   */
+  function snapshotTrack() {
+    if (!currentTrack?.src) return null;
+    return {
+      src: currentTrack.src,
+      href: currentTrack.href,
+      title: currentTrack.title,
+      postTitle: currentTrack.postTitle,
+      author: currentTrack.author,
+      postAuthor: currentTrack.postAuthor,
+      artwork: currentTrack.artwork,
+      time: headerAudio ? headerAudio.currentTime : currentTrack.time,
+      volume: currentTrack.volume,
+      playbackRate: currentTrack.playbackRate,
+      index: currentTrack.index ?? null,
+      commentId: currentTrack.commentId ?? null,
+      historyId: currentTrack.historyId ?? null,
+      savedAt: Date.now()
+    };
   }
 
   /**
-   * Activates the header player from a source audio element.
-   * @param {HTMLAudioElement} fromEl
+   * Persists and announces the current track at most once per SAVE_INTERVAL_MS.
    */
-  function activateFromSource(fromEl) {
-    const host = ensureHost();
-    if (!host) return;
+  function saveTrackThrottled() {
+    if (Date.now() - lastSaveAt < SAVE_INTERVAL_MS) return;
+    saveTrack();
+    flushListened();
+    announceState();
+  }
 
-    // Avoid loops when interacting with the header audio.
-    if (fromEl.dataset.__dtfPinnedAudioHeader === '1') return;
+  /**
+   * Posts a message to the dtf.ru tabs sharing the player channel.
+   * @param {object} message
+   */
+  function postToTabs(message) {
+    try {
+      channel?.postMessage({ ...message, tab: TAB_ID });
+    } catch {}
+  }
 
-    if (sourceAudio && sourceAudio !== fromEl) cleanupSourceAudio();
+  /**
+   * Tells other tabs whether this tab is playing and what.
+   */
+  function announceState() {
+    if (!headerAudio || !currentTrack) return;
+    postToTabs({
+      type: 'state',
+      playing: !headerAudio.paused,
+      tabTitle: document.title,
+      track: snapshotTrack()
+    });
+  }
 
-    sourceAudio = fromEl;
-    sourceAudio.dataset.__dtfPinnedAudioSource = '1';
-    sourceAudio.muted = true;
-    sourceAudio.pause();
-    sourceAudio.currentTime = fromEl.currentTime || 0;
+  /**
+   * Shows which tab holds playback while this tab is paused.
+   */
+  function updateRemoteNotice() {
+    if (!hostEl) return;
+    const notice = hostEl.querySelector(`#${REMOTE_ID}`);
+    const trackRow = hostEl.querySelector(`#${LINK_ID}`)?.parentElement;
+    const progress = hostEl.querySelector(`#${PROGRESS_ID}`);
+    if (!notice) return;
 
-    currentTrack = {
-      src: getAudioSrc(fromEl),
-      href: null,
-      linkEl: null,
-      title: null,
+    const show = !!remoteOwner && (!headerAudio || headerAudio.paused);
+    notice.hidden = !show;
+    if (trackRow) trackRow.hidden = !currentTrack;
+    if (progress) progress.hidden = !currentTrack;
+    if (!show) {
+      if (!currentTrack) hideHost();
+      return;
+    }
+
+    const link = notice.querySelector('a');
+    const track = remoteOwner.track || {};
+    const state = remoteOwner.playing ? 'Playing' : 'Paused';
+    link.textContent = `${state} in another tab: ${track.title || 'Audio'}`;
+    link.title = remoteOwner.tabTitle || link.textContent;
+    link.href = track.href ? new URL(track.href, window.location.href).pathname : '#';
+    showHost();
+  }
+
+  /**
+   * Asks the tab holding playback to hand the track over to this tab.
+   * Falls back to the last announced position if that tab does not answer.
+   */
+  function requestTakeover() {
+    if (!remoteOwner) return;
+    const owner = remoteOwner;
+    postToTabs({ type: 'takeover', target: owner.tab });
+    clearTimeout(takeoverTimer);
+    takeoverTimer = setTimeout(() => {
+      if (owner.track) restoreTrack(owner.track, true);
+    }, TAKEOVER_TIMEOUT_MS);
+  }
+
+  /**
+   * Handles messages from other dtf.ru tabs.
+   * @param {MessageEvent} e
+   */
+  function onTabMessage(e) {
+    const msg = e.data;
+    if (!msg || msg.tab === TAB_ID) return;
+
+    switch (msg.type) {
+      case 'state':
+        if (msg.playing) {
+          remoteOwner = msg;
+          if (headerAudio && !headerAudio.paused) {
+            rememberPosition();
+            headerAudio.pause();
+          }
+          ownsPlayback = false;
+        } else if (remoteOwner?.tab === msg.tab) {
+          remoteOwner = msg;
+        }
+        break;
+      case 'release':
+        if (remoteOwner?.tab === msg.tab) remoteOwner = null;
+        break;
+      case 'takeover':
+        if (msg.target !== TAB_ID || !currentTrack) return;
+        if (ownsPlayback) rememberPosition();
+        headerAudio?.pause();
+        ownsPlayback = false;
+        postToTabs({ type: 'handoff', target: msg.tab, track: snapshotTrack() });
+        return;
+      case 'handoff':
+        if (msg.target !== TAB_ID || !msg.track) return;
+        clearTimeout(takeoverTimer);
+        remoteOwner = null;
+        restoreTrack(msg.track, true);
+        break;
+      default:
+        return;
+    }
+    updateRemoteNotice();
+  }
+
+  /**
+   * Opens the cross-tab channel so only one tab plays at a time.
+   */
+  function startTabSync() {
+    if (channel || typeof BroadcastChannel !== 'function') return;
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.addEventListener('message', onTabMessage);
+  }
+
+  /**
+   * Reads the track saved by a previous page load, unless it is older than
+   * SAVED_TRACK_MAX_AGE_MS.
+   * @returns {{ src: string, href?: string, title?: string, author?: string,
+   *   artwork?: string, time?: number, volume?: number, playbackRate?: number }|null}
+   */
+  function loadSavedTrack() {
+    const saved = GM_getValue(STORAGE_KEY, null);
+    if (!saved?.src || !(Date.now() - (saved.savedAt || 0) < SAVED_TRACK_MAX_AGE_MS)) return null;
+    return saved;
+  }
+
+  /**
+   * Rebuilds the queue from the audio elements currently on the page.
+   * The previous queue is kept while the current track is not on the page,
+   * so auto-advance keeps working after navigating away from the thread.
+   */
+  function refreshQueue() {
+    const found = [];
+    const seen = new Set();
+    document.querySelectorAll('audio').forEach((el) => {
+      if (el.dataset.__dtfPinnedAudioHeader === '1') return;
+      const src = getAudioSrc(el);
+      if (!src || seen.has(src)) return;
+      seen.add(src);
+      found.push(el);
+    });
+    if (currentTrack?.src && !seen.has(currentTrack.src) && queue.length) return;
+    queue = found;
+    updateQueueButtons();
+  }
+
+  /**
+   * Returns the queue position of the current track.
+   * @returns {number} Index in `queue` or -1.
+   */
+  function queueIndex() {
+    if (!currentTrack?.src) return -1;
+    return queue.findIndex((el) => getAudioSrc(el) === currentTrack.src);
+  }
+
+  /**
+   * Switches the header player to a neighbouring track in the queue.
+   * @param {number} offset 1 for the next track, -1 for the previous one.
+   * @returns {boolean} Whether a track was activated.
+   */
+  function playQueued(offset) {
+    const index = queueIndex();
+    if (index < 0) return false;
+    const target = queue[index + offset];
+    if (!target) return false;
+    target.currentTime = 0;
+    activateFromSource(target);
+    return true;
+  }
+
+  /**
+   * Enables prev/next buttons according to the queue position.
+   */
+  function updateQueueButtons() {
+    if (!hostEl) return;
+    const index = queueIndex();
+    const prevBtn = hostEl.querySelector(`#${PREV_ID}`);
+    const nextBtn = hostEl.querySelector(`#${NEXT_ID}`);
+    if (prevBtn) prevBtn.disabled = index <= 0;
+    if (nextBtn) nextBtn.disabled = index < 0 || index >= queue.length - 1;
+  }
+
+  /**
+   * Removes the header audio element.
+   */
+  function detachHeaderAudio() {
+    if (headerAudio) {
+      headerAudio.pause();
+      headerAudio.remove();
+      headerAudio = null;
+    }
+  }
+
+  /**
+   * Restores and clears the current source audio element.
+   */
+  function cleanupSourceAudio() {
+    if (!sourceAudio) return;
+    sourceAudio.muted = false;
+    delete sourceAudio.dataset.__dtfPinnedAudioSource;
+    sourceAudio = null;
+  }
+
+  /**
+   * Clears the header player and source state.
+   */
+  function clearPlayer() {
+    cancelSleepTimer();
+    flushListened();
+    detachHeaderAudio();
+    cleanupSourceAudio();
+    hideHost();
+    currentTrack = null;
+    queue = [];
+    unbindMediaSession();
+    saveTrack();
+    postToTabs({ type: 'release' });
+    updateRemoteNotice();
+  }
+
+  /**
+   * Mirrors header playback time to the source element.
+   */
+  function syncSourceTime() {
+    if (!sourceAudio || !headerAudio) return;
+    if (syncing) return;
+    syncing = true;
+    try {
+      sourceAudio.currentTime = headerAudio.currentTime;
+      if (currentTrack) currentTrack.time = headerAudio.currentTime;
+    } finally {
+      syncing = false;
+    }
+  }
+
+  /**
+   * Starts header playback, ignoring autoplay rejections.
+   */
+  function playHeaderAudio() {
+    const playPromise = headerAudio?.play();
+    if (playPromise && typeof playPromise.catch === 'function') {
+      playPromise.catch(() => {});
+    }
+  }
+
+  /**
+   * Seeks the header audio to an absolute position and mirrors it to the source.
+   * @param {number} time Seconds.
+   * @param {boolean} [fast=false] Use fastSeek() when available.
+   */
+  function seekHeaderTo(time, fast = false) {
+    if (!headerAudio || !Number.isFinite(time)) return;
+    const duration = Number.isFinite(headerAudio.duration) ? headerAudio.duration : Infinity;
+    const target = Math.min(duration, Math.max(0, time));
+    if (fast && typeof headerAudio.fastSeek === 'function') {
+      headerAudio.fastSeek(target);
+    } else {
+      headerAudio.currentTime = target;
+    }
+    syncSourceTime();
+  }
+
+  /**
+   * Seeks the header audio relative to the current position.
+   * @param {number} delta Seconds, negative to rewind.
+   */
+  function seekHeaderBy(delta) {
+    if (!headerAudio) return;
+    seekHeaderTo(headerAudio.currentTime + delta);
+  }
+
+  /**
+   * Returns whether the Media Session API is available.
+   * @returns {boolean}
+   */
+  function hasMediaSession() {
+    return 'mediaSession' in navigator && typeof MediaMetadata === 'function';
+  }
+
+  /**
+   * Publishes the current track metadata to the OS media controls.
+   */
+  function updateMediaMetadata() {
+    if (!hasMediaSession()) return;
+    if (!currentTrack) {
+      navigator.mediaSession.metadata = null;
+      return;
+    }
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: currentTrack.title || 'Audio',
+      artist: currentTrack.author || '',
+      album: 'DTF',
+      artwork: currentTrack.artwork ? [{ src: currentTrack.artwork }] : []
+    });
+  }
+
+  /**
+   * Reports header audio position so the OS can draw a seek bar.
+   */
+  function updatePositionState() {
+    if (!hasMediaSession() || !headerAudio) return;
+    if (typeof navigator.mediaSession.setPositionState !== 'function') return;
+    const duration = headerAudio.duration;
+    if (!Number.isFinite(duration) || duration <= 0) return;
+    try {
+      navigator.mediaSession.setPositionState({
+        duration,
+        position: Math.min(duration, Math.max(0, headerAudio.currentTime)),
+        playbackRate: headerAudio.playbackRate || 1
+      });
+    } catch {}
+  }
+
+  /**
+   * Registers OS media key handlers that drive the header audio.
+   * Handlers are only installed while a track is pinned, so other page media
+   * keep the browser's default behaviour otherwise.
+   */
+  function bindMediaSession() {
+    if (!hasMediaSession()) return;
+    const handlers = {
+      play: playHeaderAudio,
+      pause: () => headerAudio?.pause(),
+      stop: clearPlayer,
+      seekbackward: (d) => seekHeaderBy(-(d.seekOffset || 10)),
+      seekforward: (d) => seekHeaderBy(d.seekOffset || 10),
+      seekto: (d) => seekHeaderTo(d.seekTime, d.fastSeek),
+      previoustrack: () => playQueued(-1),
+      nexttrack: () => playQueued(1)
+    };
+    for (const [action, handler] of Object.entries(handlers)) {
+      try {
+        navigator.mediaSession.setActionHandler(action, handler);
+      } catch {}
+    }
+  }
+
+  /**
+   * Removes the OS media key handlers and metadata.
+   */
+  function unbindMediaSession() {
+    if (!hasMediaSession()) return;
+    for (const action of ['play', 'pause', 'stop', 'seekbackward', 'seekforward', 'seekto', 'previoustrack', 'nexttrack']) {
+      try {
+        navigator.mediaSession.setActionHandler(action, null);
+      } catch {}
+    }
+    navigator.mediaSession.metadata = null;
+    navigator.mediaSession.playbackState = 'none';
+  }
+
+  /**
+   * Binds header audio event handlers.
+   */
+  function attachHeaderAudioEvents() {
+    if (!headerAudio) return;
+
+    headerAudio.addEventListener('timeupdate', syncSourceTime);
+    headerAudio.addEventListener('timeupdate', trackListened);
+    headerAudio.addEventListener('timeupdate', saveTrackThrottled);
+    headerAudio.addEventListener('seeked', syncSourceTime);
+    headerAudio.addEventListener('seeked', updatePositionState);
+    for (const type of ['play', 'pause', 'volumechange', 'ratechange', 'durationchange', 'loadedmetadata']) {
+      headerAudio.addEventListener(type, renderControls);
+    }
+    headerAudio.addEventListener('timeupdate', renderProgress);
+    headerAudio.addEventListener('seeked', renderProgress);
+    headerAudio.addEventListener('progress', renderBuffered);
+    headerAudio.addEventListener('durationchange', updatePositionState);
+    headerAudio.addEventListener('ratechange', updatePositionState);
+    headerAudio.addEventListener('play', () => {
+      hostEl?.classList.remove('__dtfPinnedAudioResume');
+      holdSleepTimer(false);
+      clearFinished();
+      ownsPlayback = true;
+      remoteOwner = null;
+      clearTimeout(takeoverTimer);
+      announceState();
+      updateRemoteNotice();
+      if (hasMediaSession()) navigator.mediaSession.playbackState = 'playing';
+      updatePositionState();
+    });
+    headerAudio.addEventListener('pause', () => {
+      holdSleepTimer(true);
+      if (hasMediaSession()) navigator.mediaSession.playbackState = 'paused';
+      lastListenTime = null;
+      flushListened();
+      saveTrack();
+      announceState();
+      updateRemoteNotice();
+    });
+    headerAudio.addEventListener('ratechange', () => {
+      if (currentTrack && headerAudio) currentTrack.playbackRate = headerAudio.playbackRate;
+    });
+    headerAudio.addEventListener('volumechange', () => {
+      if (!headerAudio) return;
+      if (sourceAudio) sourceAudio.volume = headerAudio.volume;
+      // A sleep fade-out is temporary and must not become the remembered volume.
+      if (currentTrack && fadeBaseVolume == null) currentTrack.volume = headerAudio.volume;
+    });
+
+    headerAudio.addEventListener('ended', () => {
+      if (headerAudio?.loop) return;
+      if (currentTrack) updatePosition(currentTrack.src, { time: 0, finished: true });
+      if (sleepTimer?.mode === 'track') {
+        cancelSleepTimer();
+        return;
+      }
+      if (!playQueued(1)) clearPlayer();
+    });
+  }
+
+  /**
+   * Creates the header audio element from the source.
+   * @param {HTMLAudioElement} fromEl
+   */
+  function makeHeaderAudio(fromEl) {
+    detachHeaderAudio();
+    lastListenTime = null;
+
+    headerAudio = fromEl.cloneNode(true);
+    headerAudio.id = AUDIO_ID;
+    headerAudio.dataset.__dtfPinnedAudioHeader = '1';
+    headerAudio.muted = false;
+    headerAudio.volume = fromEl.volume;
+    headerAudio.playbackRate = fromEl.playbackRate;
+
+    // The compact strip replaces native controls; the element is only the engine.
+    headerAudio.controls = false;
+    headerAudio.hidden = true;
+
+    headerAudio.currentTime = fromEl.currentTime || 0;
+
+    hostEl.appendChild(headerAudio);
+    attachHeaderAudioEvents();
+    renderControls();
+  }
+
+  /**
+   * Activates the header player from a source audio element.
+   * @param {HTMLAudioElement} fromEl
+   */
+  function activateFromSource(fromEl) {
+    const host = ensureHost();
+    if (!host) return;
+
+    // Avoid loops when interacting with the header audio.
+    if (fromEl.dataset.__dtfPinnedAudioHeader === '1') return;
+
+    if (sourceAudio && sourceAudio !== fromEl) cleanupSourceAudio();
+
+    flushListened();
+    pendingRestore = null;
+    hostEl.classList.remove('__dtfPinnedAudioResume');
+    sourceAudio = fromEl;
+    sourceAudio.dataset.__dtfPinnedAudioSource = '1';
+    sourceAudio.muted = true;
+    sourceAudio.pause();
+    sourceAudio.currentTime = fromEl.currentTime || 0;
+
+    const meta = findPostMeta(fromEl);
+    currentTrack = {
+      src: getAudioSrc(fromEl),
+      href: null,
+      linkEl: null,
+      title: null,
       time: fromEl.currentTime || 0,
       volume: fromEl.volume,
-      playbackRate: fromEl.playbackRate
+      playbackRate: fromEl.playbackRate,
+      ...meta,
+      postAuthor: meta.author
     };
 
     setHeaderLink(fromEl);
+    currentTrack.index = findPostAudioIndex(fromEl);
     makeHeaderAudio(fromEl);
+    refreshQueue();
+    updateQueueButtons();
     showHost();
+    updateMediaMetadata();
+    bindMediaSession();
+    startHistoryEntry();
+    applyTrackMemory(headerAudio.currentTime);
 
-    const playPromise = headerAudio.play();
-    if (playPromise && typeof playPromise.catch === 'function') {
-      playPromise.catch(() => {});
-    }
+    ownsPlayback = true;
+    playHeaderAudio();
+    saveTrack();
+  }
+
+  /**
+   * Re-creates the header player from a saved track without a source element.
+   * The source post does not need to be on the page; the host observer binds
+   * it as the source if it shows up later.
+   * @param {object} saved Track as written by `saveTrack()`.
+   * @param {boolean} [autoplay=false] Start playing instead of waiting in the
+   *   paused "resume" state.
+   * @returns {boolean} Whether the header player was restored.
+   */
+  function restoreTrack(saved, autoplay = false) {
+    const host = ensureHost();
+    if (!host || !saved?.src) return false;
+
+    cleanupSourceAudio();
+    flushListened();
+    ownsPlayback = false;
+
+    const template = document.createElement('audio');
+    template.src = saved.src;
+    template.preload = 'metadata';
+    template.volume = clampVolume(saved.volume);
+    template.playbackRate = Number(saved.playbackRate) || 1;
+
+    const time = Math.max(0, Number(saved.time) || 0);
+    currentTrack = {
+      src: saved.src,
+      href: saved.href || null,
+      linkEl: null,
+      title: saved.title || null,
+      postTitle: saved.postTitle || null,
+      author: saved.author || null,
+      postAuthor: saved.postAuthor || null,
+      artwork: saved.artwork || null,
+      time,
+      volume: template.volume,
+      playbackRate: template.playbackRate,
+      index: saved.index ?? null,
+      commentId: saved.commentId ?? null,
+      historyId: saved.historyId ?? null
+    };
+
+    makeHeaderAudio(template);
+    headerAudio.currentTime = time;
+    headerAudio.addEventListener('loadedmetadata', () => {
+      if (headerAudio && Math.abs(headerAudio.currentTime - time) > 1) headerAudio.currentTime = time;
+    }, { once: true });
+
+    renderHeaderLink();
+    hideResumeOffer();
+    host.classList.toggle('__dtfPinnedAudioFinished', !!getPositions()[saved.src]?.finished);
+    host.classList.toggle('__dtfPinnedAudioResume', !autoplay);
+    refreshQueue();
+    updateQueueButtons();
+    showHost();
+    updateMediaMetadata();
+    bindMediaSession();
+
+    if (autoplay) playHeaderAudio();
+    return true;
   }
 
   /**
@@ -360,17 +1679,40 @@
     a.remove();
   }
 
+  /**
+   * Returns the page's Vue app. The script runs sandboxed (it has grants), so page
+   * expandos like `__vue_app__` are only visible through the page's own view of the
+   * DOM: `unsafeWindow`, or `wrappedJSObject` behind Firefox's Xray wrappers.
+   * @returns {any}
+   */
+  function getPageVueApp() {
+    const pageDocument = typeof unsafeWindow !== 'undefined' ? unsafeWindow.document : document;
+    const appEl = pageDocument.querySelector('#app');
+    return (appEl?.wrappedJSObject ?? appEl)?.__vue_app__;
+  }
+
   /**
    * Tries to access Vue Router and navigate with it.
+   * No callbacks are handed to the page's promise: sandbox functions can't be
+   * called from page code under Xray.
    * @param {string} path
    * @returns {boolean}
    */
   function tryRouterPush(path) {
-    const app = document.querySelector('#app')?.__vue_app__;
+    let app;
+    try {
+      app = getPageVueApp();
+    } catch {
+      return false;
+    }
     const routerFromGlobals = app?.config?.globalProperties?.$router;
     if (routerFromGlobals?.push) {
-      routerFromGlobals.push(path).catch(() => {});
-      return true;
+      try {
+        routerFromGlobals.push(path);
+        return true;
+      } catch {
+        return false;
+      }
     }
 
     const provides = app?._context?.provides;
@@ -378,8 +1720,12 @@
     for (const key of Reflect.ownKeys(provides)) {
       const candidate = provides[key];
       if (candidate?.push && candidate?.currentRoute) {
-        candidate.push(path).catch(() => {});
-        return true;
+        try {
+          candidate.push(path);
+          return true;
+        } catch {
+          return false;
+        }
       }
     }
     return false;
@@ -397,39 +1743,1409 @@
     linkEl.addEventListener('click', (e) => {
       if (!currentTrack?.href) return;
       e.preventDefault();
-      if (currentTrack.linkEl && document.contains(currentTrack.linkEl)) {
-        currentTrack.linkEl.click();
-        return;
-      }
-      softNavigate(currentTrack.href);
+      openCurrentPost();
     });
   }
 
-  document.addEventListener('play', (e) => {
-    if (!isAudio(e.target)) return;
-    activateFromSource(e.target);
-  }, true);
-
   /**
-   * Ensures the host survives SPA re-renders and rebinds to audio.
+   * Wires the link and takeover button of the other-tab notice.
    */
-  function startHostObserver() {
-    new MutationObserver(() => {
-      if (hostEl && !document.contains(hostEl)) {
-        hostEl = null;
-        if (headerAudio) {
-          // Keep header audio alive by recreating host and reattaching.
-          const oldAudio = headerAudio;
-          headerAudio = null;
-          ensureHost();
-          hostEl.appendChild(oldAudio);
-          headerAudio = oldAudio;
-        }
-      }
-      if (!hostEl) ensureHost();
-      wireHeaderLink();
+  function wireRemoteNotice() {
+    const host = ensureHost();
+    if (!host) return;
+    const notice = host.querySelector(`#${REMOTE_ID}`);
+    if (!notice || notice.dataset.__dtfPinnedAudioClick) return;
+    notice.dataset.__dtfPinnedAudioClick = '1';
+    notice.querySelector('a').addEventListener('click', (e) => {
+      e.preventDefault();
+      if (remoteOwner?.track?.href) softNavigate(remoteOwner.track.href);
+    });
+    notice.querySelector('button').addEventListener('click', requestTakeover);
+  }
 
-      if (currentTrack?.src) {
+  /**
+   * Picks the volume button glyph for the current level.
+   * @returns {string}
+   */
+  function volumeGlyph() {
+    if (!headerAudio || headerAudio.muted || headerAudio.volume === 0) return '🔇';
+    if (headerAudio.volume < 0.34) return '🔈';
+    if (headerAudio.volume < 0.67) return '🔉';
+    return '🔊';
+  }
+
+  /**
+   * Renders the progress bar, optionally previewing a drag position.
+   */
+  function renderProgress() {
+    const bar = hostEl?.querySelector(`#${PROGRESS_ID}`);
+    if (!bar) return;
+    const duration = headerAudio?.duration;
+    const known = Number.isFinite(duration) && duration > 0;
+    const time = seekPreview ?? headerAudio?.currentTime ?? 0;
+    const ratio = known ? Math.min(1, Math.max(0, time / duration)) : 0;
+
+    bar.querySelector('.__dtfPinnedAudioPlayed').style.width = `${ratio * 100}%`;
+    bar.setAttribute('aria-valuemax', known ? String(Math.round(duration)) : '0');
+    bar.setAttribute('aria-valuenow', String(Math.round(time)));
+    bar.setAttribute('aria-valuetext', formatTime(time));
+
+    const timeEl = hostEl.querySelector(`#${TIME_ID}`);
+    const text = `${formatTime(time)} / ${known ? formatTime(duration) : '–:––'}`;
+    if (timeEl && timeEl.textContent !== text) timeEl.textContent = text;
+  }
+
+  /**
+   * Renders buffered ranges under the progress bar.
+   */
+  function renderBuffered() {
+    const container = hostEl?.querySelector(`#${PROGRESS_ID} .__dtfPinnedAudioBuffered`);
+    if (!container) return;
+    container.textContent = '';
+    const duration = headerAudio?.duration;
+    if (!Number.isFinite(duration) || duration <= 0) return;
+    const ranges = headerAudio.buffered;
+    for (let i = 0; i < ranges.length; i++) {
+      const seg = document.createElement('div');
+      seg.style.left = `${(ranges.start(i) / duration) * 100}%`;
+      seg.style.width = `${((ranges.end(i) - ranges.start(i)) / duration) * 100}%`;
+      container.appendChild(seg);
+    }
+  }
+
+  /**
+   * Syncs the compact strip with the header audio state.
+   */
+  function renderControls() {
+    if (!hostEl) return;
+    const playBtn = hostEl.querySelector(`#${PLAY_ID}`);
+    if (playBtn) {
+      const paused = !headerAudio || headerAudio.paused;
+      playBtn.textContent = paused ? '▶' : '⏸';
+      playBtn.title = paused ? 'Play' : 'Pause';
+      playBtn.setAttribute('aria-label', playBtn.title);
+    }
+
+    const volumeBtn = hostEl.querySelector(`#${VOLUME_ID}`);
+    if (volumeBtn) volumeBtn.textContent = volumeGlyph();
+    const volumeRange = hostEl.querySelector(`#${VOLUME_POPOVER_ID} input`);
+    if (volumeRange && headerAudio) {
+      volumeRange.value = String(Math.round((headerAudio.muted ? 0 : headerAudio.volume) * 100));
+    }
+
+    const speedSel = hostEl.querySelector(`#${SPEED_ID}`);
+    if (speedSel && headerAudio) {
+      const rate = String(headerAudio.playbackRate);
+      if (![...speedSel.options].some((o) => o.value === rate)) {
+        speedSel.appendChild(new Option(`${rate}×`, rate));
+      }
+      speedSel.value = rate;
+    }
+
+    renderProgress();
+    renderBuffered();
+  }
+
+  /**
+   * Scrolls the header title when it does not fit.
+   */
+  function updateMarquee() {
+    const linkEl = hostEl?.querySelector(`#${LINK_ID}`);
+    const titleEl = linkEl?.querySelector('.__dtfPinnedAudioTitle');
+    if (!titleEl) return;
+    titleEl.classList.remove('__dtfPinnedAudioMarquee');
+    requestAnimationFrame(() => {
+      const overflow = titleEl.scrollWidth - linkEl.clientWidth;
+      if (overflow <= 0) return;
+      titleEl.style.setProperty('--dtf-marquee-shift', `${overflow}px`);
+      titleEl.style.setProperty('--dtf-marquee-duration', `${Math.max(6, overflow / 20)}s`);
+      titleEl.classList.add('__dtfPinnedAudioMarquee');
+    });
+  }
+
+  /**
+   * Positions a popover under its button, or above it when there is no room
+   * below (bottom bar), keeping it inside the viewport.
+   * @param {HTMLElement} popover
+   * @param {HTMLElement} btn
+   */
+  function placePopover(popover, btn) {
+    const rect = btn.getBoundingClientRect();
+    const half = popover.offsetWidth / 2;
+    const center = rect.left + rect.width / 2;
+    const below = rect.bottom + 6 + popover.offsetHeight <= window.innerHeight;
+    popover.style.top = `${below ? rect.bottom + 6 : Math.max(8, rect.top - 6 - popover.offsetHeight)}px`;
+    popover.style.left = `${Math.max(half + 8, Math.min(window.innerWidth - half - 8, center))}px`;
+  }
+
+  /**
+   * Positions and toggles the volume popover under its button.
+   * @param {boolean} [open]
+   */
+  function toggleVolumePopover(open) {
+    const popover = hostEl?.querySelector(`#${VOLUME_POPOVER_ID}`);
+    const btn = hostEl?.querySelector(`#${VOLUME_ID}`);
+    if (!popover || !btn) return;
+    open = open ?? popover.hidden;
+    popover.hidden = !open;
+    if (!open) return;
+    placePopover(popover, btn);
+    renderControls();
+  }
+
+  /**
+   * Wires the compact player strip.
+   */
+  function wireControls() {
+    const host = ensureHost();
+    if (!host) return;
+    const playBtn = host.querySelector(`#${PLAY_ID}`);
+    if (!playBtn || playBtn.dataset.__dtfPinnedAudioClick) return;
+    playBtn.dataset.__dtfPinnedAudioClick = '1';
+
+    playBtn.addEventListener('click', () => {
+      if (!headerAudio) return;
+      if (headerAudio.paused) playHeaderAudio();
+      else headerAudio.pause();
+    });
+
+    const bar = host.querySelector(`#${PROGRESS_ID}`);
+    const ratioAt = (e) => {
+      const rect = bar.getBoundingClientRect();
+      return rect.width ? Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)) : 0;
+    };
+    bar.addEventListener('pointerdown', (e) => {
+      if (!headerAudio || !Number.isFinite(headerAudio.duration)) return;
+      bar.setPointerCapture?.(e.pointerId);
+      seekPreview = ratioAt(e) * headerAudio.duration;
+      renderProgress();
+    });
+    bar.addEventListener('pointermove', (e) => {
+      if (seekPreview == null || !headerAudio) return;
+      seekPreview = ratioAt(e) * headerAudio.duration;
+      renderProgress();
+    });
+    const endDrag = () => {
+      if (seekPreview == null) return;
+      const time = seekPreview;
+      seekPreview = null;
+      seekHeaderTo(time);
+      renderProgress();
+    };
+    bar.addEventListener('pointerup', endDrag);
+    bar.addEventListener('pointercancel', () => {
+      seekPreview = null;
+      renderProgress();
+    });
+    bar.addEventListener('keydown', (e) => {
+      if (!headerAudio) return;
+      const steps = { ArrowLeft: -5, ArrowRight: 5, PageDown: -30, PageUp: 30 };
+      if (e.key in steps) seekHeaderBy(steps[e.key]);
+      else if (e.key === 'Home') seekHeaderTo(0);
+      else if (e.key === 'End') seekHeaderTo(headerAudio.duration);
+      else return;
+      e.preventDefault();
+      e.stopPropagation();
+    });
+
+    host.querySelector(`#${SHARE_ID}`).addEventListener('click', copyDeepLink);
+    host.querySelector(`#${CLOSE_ID}`).addEventListener('click', () => {
+      if (ownsPlayback) rememberPosition();
+      clearPlayer();
+    });
+    host.querySelector(`#${RESUME_OFFER_ID}`).addEventListener('click', (e) => {
+      const time = Number(e.currentTarget.dataset.time);
+      hideResumeOffer();
+      seekHeaderTo(time);
+    });
+    host.querySelector(`#${VOLUME_ID}`).addEventListener('click', () => toggleVolumePopover());
+    host.querySelector(`#${VOLUME_POPOVER_ID} input`).addEventListener('input', (e) => {
+      if (!headerAudio) return;
+      headerAudio.muted = false;
+      headerAudio.volume = clampVolume(Number(e.target.value) / 100);
+    });
+    host.querySelector(`#${SPEED_ID}`).addEventListener('change', (e) => {
+      if (headerAudio) headerAudio.playbackRate = Number(e.target.value) || 1;
+    });
+
+    renderControls();
+    updateMarquee();
+  }
+
+  /**
+   * Reads the listening history, newest first.
+   * @returns {Array<{ id: number, title: string|null, author: string|null, href: string|null,
+   *   src: string, playedAt: number, listened: number, duration: number|null }>}
+   */
+  function getHistory() {
+    const history = GM_getValue(HISTORY_KEY, null);
+    return Array.isArray(history) ? history : [];
+  }
+
+  /**
+   * Persists the listening history, keeping at most HISTORY_LIMIT entries.
+   * @param {ReturnType<typeof getHistory>} history
+   */
+  function setHistory(history) {
+    GM_setValue(HISTORY_KEY, history.slice(0, HISTORY_LIMIT));
+  }
+
+  /**
+   * Records the current track as a new history entry.
+   */
+  function startHistoryEntry() {
+    if (!currentTrack?.src) return;
+    flushListened();
+    const history = getHistory();
+    const id = Math.max(Date.now(), (history[0]?.id ?? 0) + 1);
+    currentTrack.historyId = id;
+    history.unshift({
+      id,
+      title: currentTrack.title,
+      author: currentTrack.author,
+      postAuthor: currentTrack.postAuthor,
+      href: currentTrack.href,
+      src: currentTrack.src,
+      playedAt: Date.now(),
+      listened: 0,
+      duration: null
+    });
+    setHistory(history);
+    renderHistory();
+  }
+
+  /**
+   * Accumulates listened time from header playback, ignoring seeks.
+   */
+  function trackListened() {
+    if (!headerAudio || headerAudio.paused) {
+      lastListenTime = null;
+      return;
+    }
+    const time = headerAudio.currentTime;
+    if (lastListenTime != null) {
+      const delta = time - lastListenTime;
+      if (delta > 0 && delta < 2 * Math.max(1, headerAudio.playbackRate)) pendingListened += delta;
+    }
+    lastListenTime = time;
+  }
+
+  /**
+   * Writes accumulated listened time and duration into the current history entry.
+   */
+  function flushListened() {
+    const id = currentTrack?.historyId;
+    const listened = pendingListened;
+    pendingListened = 0;
+    if (!id) return;
+    const history = getHistory();
+    const entry = history.find((h) => h.id === id);
+    if (!entry) return;
+    entry.listened = Math.round((entry.listened || 0) + listened);
+    if (Number.isFinite(headerAudio?.duration)) entry.duration = Math.round(headerAudio.duration);
+    setHistory(history);
+  }
+
+  /**
+   * Plays a history entry, preferring its source element when it is on the page.
+   * Keeps the volume the player is at now rather than the one stored with the entry.
+   * @param {ReturnType<typeof getHistory>[number]} entry
+   */
+  function replayHistoryEntry(entry) {
+    const el = [...document.querySelectorAll('audio')].find((a) => (
+      a.dataset.__dtfPinnedAudioHeader !== '1' && getAudioSrc(a) === entry.src
+    ));
+    if (el) {
+      el.currentTime = 0;
+      activateFromSource(el);
+      return;
+    }
+    const volume = fadeBaseVolume ?? headerAudio?.volume ?? entry.volume;
+    if (!restoreTrack({ ...entry, time: 0, volume }, true)) return;
+    startHistoryEntry();
+    applyTrackMemory(0);
+  }
+
+  /**
+   * Offers a blob for download under the given file name.
+   * @param {Blob} blob
+   * @param {string} filename
+   */
+  function saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    clickLink(url, filename);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Follows a link through a hidden anchor. Unlike `window.open` after an
+   * await, this is not caught by popup blockers.
+   * @param {string} href
+   * @param {string} filename Used by the browser for same-origin and blob links.
+   * @param {boolean} [newTab] Opens the link in a new tab when it cannot be downloaded.
+   */
+  function clickLink(href, filename, newTab = false) {
+    const a = document.createElement('a');
+    a.href = href;
+    a.download = filename;
+    if (newTab) {
+      a.target = '_blank';
+      a.rel = 'noopener';
+    }
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+  }
+
+  /**
+   * Offers a text file for download.
+   * @param {string} filename
+   * @param {string} text
+   * @param {string} type MIME type.
+   */
+  function downloadText(filename, text, type) {
+    saveBlob(new Blob([text], { type }), filename);
+  }
+
+  /**
+   * Exports the history as JSON.
+   */
+  function exportHistoryJson() {
+    downloadText('dtf-audio-history.json', JSON.stringify(getHistory(), null, 2), 'application/json');
+  }
+
+  /**
+   * Exports the history as an extended M3U playlist, oldest first.
+   */
+  function exportHistoryM3u() {
+    const lines = ['#EXTM3U'];
+    for (const entry of getHistory().slice().reverse()) {
+      const name = [entry.author, entry.title].filter(Boolean).join(' - ') || 'Audio';
+      lines.push(`#EXTINF:${entry.duration ?? -1},${name.replace(/[\r\n]+/g, ' ')}`);
+      lines.push(entry.src);
+    }
+    downloadText('dtf-audio-history.m3u', lines.join('\n') + '\n', 'audio/x-mpegurl');
+  }
+
+  /**
+   * Renders the history list into the panel when it is open.
+   */
+  function renderHistory() {
+    const panel = hostEl?.querySelector(`#${HISTORY_PANEL_ID}`);
+    if (!panel || panel.hidden) return;
+    const list = panel.querySelector('.__dtfPinnedAudioHistoryList');
+    list.textContent = '';
+
+    const history = getHistory();
+    const positions = getPositions();
+    if (!history.length) {
+      const empty = document.createElement('div');
+      empty.className = '__dtfPinnedAudioHistoryEmpty';
+      empty.textContent = 'Nothing played yet.';
+      list.appendChild(empty);
+      return;
+    }
+
+    for (const entry of history) {
+      const row = document.createElement('div');
+      row.className = '__dtfPinnedAudioHistoryItem';
+      if (entry.id === currentTrack?.historyId) row.classList.add('__dtfPinnedAudioHistoryCurrent');
+
+      const play = document.createElement('button');
+      play.type = 'button';
+      play.className = '__dtfPinnedAudioHistoryPlay';
+      play.title = 'Play again';
+      const title = document.createElement('span');
+      title.textContent = entry.title || 'Audio';
+      const meta = document.createElement('small');
+      meta.textContent = [
+        positions[entry.src]?.finished ? '✓' : null,
+        entry.author,
+        new Date(entry.playedAt).toLocaleString(),
+        `listened ${formatTime(entry.listened)}`
+      ].filter(Boolean).join(' · ');
+      play.append(title, meta);
+      play.addEventListener('click', () => {
+        toggleHistoryPanel(false);
+        replayHistoryEntry(entry);
+      });
+
+      const open = document.createElement('button');
+      open.type = 'button';
+      open.className = '__dtfPinnedAudioBtn';
+      open.textContent = '↗';
+      open.title = 'Open post';
+      open.disabled = !entry.href;
+      open.addEventListener('click', () => {
+        toggleHistoryPanel(false);
+        softNavigate(entry.href);
+      });
+
+      row.append(play, open);
+      list.appendChild(row);
+    }
+  }
+
+  /**
+   * Positions and toggles the history panel under the header link.
+   * @param {boolean} [open]
+   */
+  function toggleHistoryPanel(open) {
+    const panel = hostEl?.querySelector(`#${HISTORY_PANEL_ID}`);
+    const btn = hostEl?.querySelector(`#${HISTORY_ID}`);
+    if (!panel || !btn) return;
+    open = open ?? panel.hidden;
+    panel.hidden = !open;
+    if (!open) return;
+    flushListened();
+    renderHistory();
+    placePopover(panel, btn);
+  }
+
+  /**
+   * Wires the history button and panel actions.
+   */
+  function wireHistory() {
+    const host = ensureHost();
+    if (!host) return;
+    const btn = host.querySelector(`#${HISTORY_ID}`);
+    if (!btn || btn.dataset.__dtfPinnedAudioClick) return;
+    btn.dataset.__dtfPinnedAudioClick = '1';
+    btn.addEventListener('click', () => toggleHistoryPanel());
+
+    const panel = host.querySelector(`#${HISTORY_PANEL_ID}`);
+    panel.querySelector('[data-export-json]').addEventListener('click', exportHistoryJson);
+    panel.querySelector('[data-export-m3u]').addEventListener('click', exportHistoryM3u);
+    panel.querySelector('[data-clear]').addEventListener('click', () => {
+      if (!confirm('Clear listening history?')) return;
+      setHistory([]);
+      renderHistory();
+    });
+  }
+
+  /**
+   * Returns the audio elements of the post at `pathname`, in document order.
+   * @param {string} pathname
+   * @returns {HTMLAudioElement[]}
+   */
+  function findPostAudios(pathname) {
+    return [...document.querySelectorAll('audio')].filter((el) => {
+      if (el.dataset.__dtfPinnedAudioHeader === '1') return false;
+      const link = findPostLink(el);
+      return !!link && new URL(link.href, window.location.href).pathname === pathname;
+    });
+  }
+
+  /**
+   * Returns the 1-based position of an audio element within its post.
+   * @param {HTMLAudioElement} el
+   * @returns {number|null}
+   */
+  function findPostAudioIndex(el) {
+    if (!currentTrack?.href) return null;
+    const index = findPostAudios(new URL(currentTrack.href).pathname).indexOf(el);
+    return index < 0 ? null : index + 1;
+  }
+
+  /**
+   * Builds a post URL that starts the current track at the current time.
+   * @returns {string|null}
+   */
+  function buildDeepLink() {
+    if (!currentTrack?.href || !headerAudio) return null;
+    const url = new URL(currentTrack.href, window.location.href);
+    url.hash = `audio-${currentTrack.index || 1}-t-${Math.floor(headerAudio.currentTime)}`;
+    return url.href;
+  }
+
+  /**
+   * Copies the deep link for the current position to the clipboard.
+   */
+  async function copyDeepLink() {
+    const link = buildDeepLink();
+    if (!link) return;
+    try {
+      await navigator.clipboard.writeText(link);
+      showOsd(`Link copied · ${formatTime(headerAudio?.currentTime)}`);
+    } catch {
+      prompt('Link to the current position:', link);
+    }
+  }
+
+  /**
+   * Starts the audio referenced by a `#audio-<index>-t-<seconds>` fragment.
+   * Retried on DOM mutations until the audio is rendered or the link expires.
+   */
+  function checkDeepLink() {
+    const match = DEEP_LINK_RE.exec(window.location.hash);
+    if (!match) return;
+    const key = window.location.pathname + window.location.hash;
+    if (deepLink?.key !== key) deepLink = { key, done: false, deadline: Date.now() + DEEP_LINK_TIMEOUT_MS };
+    if (deepLink.done) return;
+    if (Date.now() > deepLink.deadline) {
+      deepLink.done = true;
+      return;
+    }
+
+    const target = findPostAudios(window.location.pathname)[Number(match[1]) - 1];
+    if (!target || !ensureHost()) return;
+    deepLink.done = true;
+    target.currentTime = Number(match[2] || 0);
+    activateFromSource(target);
+  }
+
+  /**
+   * Returns seconds left until the sleep timer stops playback.
+   * @returns {number|null} Null when no timer is set or the track length is unknown.
+   */
+  function getSleepRemaining() {
+    if (!sleepTimer) return null;
+    if (sleepTimer.mode === 'time') {
+      const left = sleepTimer.pausedLeft ?? sleepTimer.endsAt - Date.now();
+      return Math.max(0, left / 1000);
+    }
+    const duration = headerAudio?.duration;
+    if (!Number.isFinite(duration)) return null;
+    return Math.max(0, (duration - headerAudio.currentTime) / (headerAudio.playbackRate || 1));
+  }
+
+  /**
+   * Arms the sleep timer.
+   * @param {number|'track'} minutes Minutes from now, or 'track' to stop at the end of the current track.
+   */
+  function setSleepTimer(minutes) {
+    cancelSleepTimer();
+    sleepTimer = minutes === 'track'
+      ? { mode: 'track' }
+      : { mode: 'time', endsAt: Date.now() + minutes * 60000 };
+    if (!headerAudio || headerAudio.paused) holdSleepTimer(true);
+    sleepTicker = setInterval(tickSleepTimer, SLEEP_TICK_MS);
+    tickSleepTimer();
+    showOsd(minutes === 'track' ? 'Sleep: end of track' : `Sleep in ${minutes} min`);
+  }
+
+  /**
+   * Stops or restarts the countdown of a 'time' sleep timer, so it only runs while audio plays.
+   * @param {boolean} hold True when playback pauses, false when it resumes.
+   */
+  function holdSleepTimer(hold) {
+    if (sleepTimer?.mode !== 'time') return;
+    if (hold && sleepTimer.pausedLeft == null) {
+      sleepTimer.pausedLeft = Math.max(0, sleepTimer.endsAt - Date.now());
+    } else if (!hold && sleepTimer.pausedLeft != null) {
+      sleepTimer.endsAt = Date.now() + sleepTimer.pausedLeft;
+      delete sleepTimer.pausedLeft;
+    }
+  }
+
+  /**
+   * Disarms the sleep timer and undoes any fade in progress.
+   */
+  function cancelSleepTimer() {
+    clearInterval(sleepTicker);
+    sleepTicker = 0;
+    sleepTimer = null;
+    restoreFadedVolume();
+    renderSleepButton();
+  }
+
+  /**
+   * Puts back the volume the fade-out started from.
+   */
+  function restoreFadedVolume() {
+    if (fadeBaseVolume == null) return;
+    const volume = fadeBaseVolume;
+    fadeBaseVolume = null;
+    if (headerAudio) headerAudio.volume = volume;
+  }
+
+  /**
+   * Fades the header audio over the last seconds of the timer and pauses at zero.
+   */
+  function tickSleepTimer() {
+    const remaining = getSleepRemaining();
+    renderSleepButton(remaining);
+    if (remaining == null || !headerAudio || headerAudio.paused) return;
+
+    if (remaining <= 0.25) {
+      headerAudio.pause();
+      cancelSleepTimer();
+      showOsd('Sleep timer: paused');
+      return;
+    }
+    if (remaining <= SLEEP_FADE_SECONDS) {
+      fadeBaseVolume ??= headerAudio.volume;
+      headerAudio.volume = clampVolume(fadeBaseVolume * (remaining / SLEEP_FADE_SECONDS));
+    }
+  }
+
+  /**
+   * Shows the remaining sleep time on the header button.
+   * @param {number|null} [remaining]
+   */
+  function renderSleepButton(remaining = getSleepRemaining()) {
+    const btn = hostEl?.querySelector(`#${SLEEP_ID}`);
+    if (!btn) return;
+    btn.classList.toggle('__dtfPinnedAudioSleepActive', !!sleepTimer);
+    const left = sleepTimer && remaining != null ? ` ${formatTime(remaining)}` : '';
+    const text = `⏾${left}`;
+    if (btn.textContent !== text) btn.textContent = text;
+    btn.title = sleepTimer?.mode === 'track' ? 'Stops at the end of this track' : 'Sleep timer';
+  }
+
+  /**
+   * Toggles the sleep timer popover.
+   * @param {boolean} [open]
+   */
+  function toggleSleepPopover(open) {
+    const popover = hostEl?.querySelector(`#${SLEEP_POPOVER_ID}`);
+    const btn = hostEl?.querySelector(`#${SLEEP_ID}`);
+    if (!popover || !btn) return;
+    open = open ?? popover.hidden;
+    popover.hidden = !open;
+    if (open) placePopover(popover, btn);
+  }
+
+  /**
+   * Wires the sleep timer button and presets.
+   */
+  function wireSleepTimer() {
+    const host = ensureHost();
+    if (!host) return;
+    const btn = host.querySelector(`#${SLEEP_ID}`);
+    if (!btn || btn.dataset.__dtfPinnedAudioClick) return;
+    btn.dataset.__dtfPinnedAudioClick = '1';
+    btn.addEventListener('click', () => toggleSleepPopover());
+
+    const popover = host.querySelector(`#${SLEEP_POPOVER_ID}`);
+    popover.addEventListener('click', (e) => {
+      const preset = e.target.closest('[data-sleep]');
+      if (!preset) return;
+      const value = preset.dataset.sleep;
+      if (value === 'off') cancelSleepTimer();
+      else setSleepTimer(value === 'track' ? 'track' : Number(value));
+      toggleSleepPopover(false);
+    });
+    popover.querySelector('form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const minutes = Number(popover.querySelector('input').value);
+      if (!Number.isFinite(minutes) || minutes <= 0) return;
+      setSleepTimer(minutes);
+      toggleSleepPopover(false);
+    });
+    renderSleepButton();
+  }
+
+  /**
+   * Makes a string safe to use as a file name.
+   * @param {string} name
+   * @returns {string}
+   */
+  function sanitizeFilename(name) {
+    return name
+      .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '_')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 150) || 'audio';
+  }
+
+  /**
+   * Picks a file extension from the URL, falling back to the MIME type.
+   * @param {string} src
+   * @param {string} [type]
+   * @returns {string}
+   */
+  function guessAudioExtension(src, type) {
+    const fromUrl = /\.(mp3|m4a|aac|ogg|oga|opus|wav|flac|webm)$/i.exec(new URL(src, window.location.href).pathname);
+    if (fromUrl) return fromUrl[1].toLowerCase();
+    return AUDIO_EXTENSIONS[(type || '').split(';')[0].trim()] || 'mp3';
+  }
+
+  /**
+   * Builds "<post author> - <post title>" for downloaded files. Audio from a
+   * comment is named after the post too, not after the commenter.
+   * @param {number} [part] 1-based position when saving several files.
+   * @param {number} [total]
+   * @returns {string}
+   */
+  function buildTrackFilename(part, total) {
+    const title = currentTrack?.postTitle || currentTrack?.title || 'Audio';
+    const author = currentTrack?.postAuthor ?? (currentTrack?.commentId ? null : currentTrack?.author);
+    const base = [author, title].filter(Boolean).join(' - ');
+    return total > 1 ? `${base} (${part} of ${total})` : base;
+  }
+
+  /**
+   * Downloads an audio file under a meaningful name. When the file host does
+   * not allow cross-origin reads, the file link is handed to the browser,
+   * which saves it under the host's name or opens it in a new tab.
+   * @param {string} src
+   * @param {string} name File name without extension.
+   * @returns {Promise<boolean>} Whether the file was saved under `name`.
+   */
+  async function downloadAudio(src, name) {
+    const filename = sanitizeFilename(name);
+    try {
+      const resp = await fetch(src, { credentials: 'omit' });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const blob = await resp.blob();
+      saveBlob(blob, `${filename}.${guessAudioExtension(src, blob.type)}`);
+      return true;
+    } catch {
+      clickLink(src, `${filename}.${guessAudioExtension(src)}`, true);
+      return false;
+    }
+  }
+
+  /**
+   * Downloads the header track.
+   */
+  async function downloadCurrentTrack() {
+    const src = getAudioSrc(headerAudio);
+    if (!src) return;
+    showOsd('Downloading…');
+    const saved = await downloadAudio(src, buildTrackFilename());
+    showOsd(saved ? 'Download ready' : 'Could not rename, passed the file link to the browser');
+  }
+
+  /**
+   * Downloads every audio of the current post as separate files.
+   * Comment audio is left out; it is not part of the post itself.
+   */
+  async function downloadPostAudios() {
+    if (!currentTrack?.href) return;
+    const srcs = [...new Set(
+      findPostAudios(new URL(currentTrack.href).pathname)
+        .filter((el) => !el.closest(COMMENT_SELECTOR))
+        .map(getAudioSrc)
+        .filter(Boolean)
+    )];
+    if (!srcs.length) srcs.push(currentTrack.src);
+
+    let saved = 0;
+    for (let i = 0; i < srcs.length; i++) {
+      showOsd(`Downloading ${i + 1} of ${srcs.length}…`);
+      if (await downloadAudio(srcs[i], buildTrackFilename(i + 1, srcs.length))) saved++;
+    }
+    const passed = srcs.length - saved;
+    showOsd(`Downloaded ${saved} of ${srcs.length}${passed ? `, ${passed} passed to the browser as links` : ''}`);
+  }
+
+  /**
+   * Toggles the download popover.
+   * @param {boolean} [open]
+   */
+  function toggleDownloadPopover(open) {
+    const popover = hostEl?.querySelector(`#${DOWNLOAD_POPOVER_ID}`);
+    const btn = hostEl?.querySelector(`#${DOWNLOAD_ID}`);
+    if (!popover || !btn) return;
+    open = open ?? popover.hidden;
+    popover.hidden = !open;
+    if (open) placePopover(popover, btn);
+  }
+
+  /**
+   * Wires the download button and its actions.
+   */
+  function wireDownload() {
+    const host = ensureHost();
+    if (!host) return;
+    const btn = host.querySelector(`#${DOWNLOAD_ID}`);
+    if (!btn || btn.dataset.__dtfPinnedAudioClick) return;
+    btn.dataset.__dtfPinnedAudioClick = '1';
+    btn.addEventListener('click', () => toggleDownloadPopover());
+
+    const popover = host.querySelector(`#${DOWNLOAD_POPOVER_ID}`);
+    popover.querySelector('[data-download-track]').addEventListener('click', () => {
+      toggleDownloadPopover(false);
+      downloadCurrentTrack();
+    });
+    popover.querySelector('[data-download-post]').addEventListener('click', () => {
+      toggleDownloadPopover(false);
+      downloadPostAudios();
+    });
+  }
+
+  /**
+   * Wires the prev/next queue buttons.
+   */
+  function wireQueueButtons() {
+    const host = ensureHost();
+    if (!host) return;
+    const prevBtn = host.querySelector(`#${PREV_ID}`);
+    const nextBtn = host.querySelector(`#${NEXT_ID}`);
+    if (!prevBtn || !nextBtn || prevBtn.dataset.__dtfPinnedAudioClick) return;
+    prevBtn.dataset.__dtfPinnedAudioClick = '1';
+    prevBtn.addEventListener('click', () => playQueued(-1));
+    nextBtn.addEventListener('click', () => playQueued(1));
+  }
+
+  /**
+   * Formats seconds as m:ss or h:mm:ss.
+   * @param {number} sec
+   * @returns {string}
+   */
+  function formatTime(sec) {
+    if (!Number.isFinite(sec) || sec < 0) return '0:00';
+    sec = Math.floor(sec);
+    const h = Math.floor(sec / 3600);
+    const m = Math.floor((sec % 3600) / 60);
+    const s = String(sec % 60).padStart(2, '0');
+    return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+  }
+
+  /**
+   * Shows a short-lived on-screen indicator.
+   * @param {string} text
+   */
+  function showOsd(text) {
+    ensureStyles();
+    let osd = document.getElementById(OSD_ID);
+    if (!osd) {
+      osd = document.createElement('div');
+      osd.id = OSD_ID;
+      document.documentElement.appendChild(osd);
+    }
+    osd.textContent = text;
+    osd.classList.add('__dtfPinnedAudioOsdVisible');
+    clearTimeout(osdTimer);
+    osdTimer = setTimeout(() => osd.classList.remove('__dtfPinnedAudioOsdVisible'), OSD_DURATION_MS);
+  }
+
+  /**
+   * Describes the playback position for the indicator.
+   * @returns {string}
+   */
+  function describePosition() {
+    if (!headerAudio) return '';
+    return `${formatTime(headerAudio.currentTime)} / ${formatTime(headerAudio.duration)}`;
+  }
+
+  /**
+   * Changes header volume by a step and unmutes.
+   * @param {number} delta
+   */
+  function changeVolume(delta) {
+    if (!headerAudio) return;
+    headerAudio.muted = false;
+    headerAudio.volume = clampVolume(Math.round((headerAudio.volume + delta) * 100) / 100);
+    showOsd(`Volume ${Math.round(headerAudio.volume * 100)}%`);
+  }
+
+  /**
+   * Changes header playback rate by a step.
+   * @param {number} delta
+   */
+  function changeSpeed(delta) {
+    if (!headerAudio) return;
+    const rate = Math.round((headerAudio.playbackRate + delta) * 100) / 100;
+    headerAudio.playbackRate = Math.min(MAX_SPEED, Math.max(MIN_SPEED, rate));
+    showOsd(`Speed ${headerAudio.playbackRate}×`);
+  }
+
+  /**
+   * Seeks the header audio and reports the new position.
+   * @param {number} delta Seconds.
+   */
+  function seekWithOsd(delta) {
+    seekHeaderBy(delta);
+    showOsd(`${delta > 0 ? '+' : '−'}${Math.abs(delta)}s · ${describePosition()}`);
+  }
+
+  /**
+   * Opens the post the current track comes from.
+   */
+  function openCurrentPost() {
+    if (!currentTrack?.href) return;
+    if (currentTrack.commentId) {
+      const commentEl = findCommentElement(currentTrack.commentId);
+      if (commentEl) {
+        highlightComment(commentEl);
+        return;
+      }
+      pendingCommentFocus = {
+        id: currentTrack.commentId,
+        deadline: Date.now() + COMMENT_FOCUS_TIMEOUT_MS
+      };
+    }
+    if (currentTrack.linkEl && document.contains(currentTrack.linkEl)) {
+      currentTrack.linkEl.click();
+      return;
+    }
+    softNavigate(currentTrack.href);
+  }
+
+  /**
+   * Hotkey actions in the order they appear in the settings.
+   * Actions with `repeat` also fire while the keys are held down.
+   * @type {Array<{ id: string, label: string, keys: string, repeat?: boolean, run: () => void }>}
+   */
+  const HOTKEY_ACTIONS = [
+    {
+      id: 'togglePlay',
+      label: 'Play / pause',
+      keys: 'Alt+KeyK',
+      run: () => {
+        if (headerAudio.paused) playHeaderAudio();
+        else headerAudio.pause();
+        showOsd(headerAudio.paused ? '⏸ Paused' : '▶ Playing');
+      }
+    },
+    { id: 'back5', label: 'Back 5 s', keys: 'Alt+KeyJ', repeat: true, run: () => seekWithOsd(-5) },
+    { id: 'forward5', label: 'Forward 5 s', keys: 'Alt+KeyL', repeat: true, run: () => seekWithOsd(5) },
+    { id: 'back30', label: 'Back 30 s', keys: 'Alt+Shift+KeyJ', repeat: true, run: () => seekWithOsd(-30) },
+    { id: 'forward30', label: 'Forward 30 s', keys: 'Alt+Shift+KeyL', repeat: true, run: () => seekWithOsd(30) },
+    { id: 'volumeUp', label: 'Volume up', keys: 'Alt+ArrowUp', repeat: true, run: () => changeVolume(VOLUME_STEP) },
+    { id: 'volumeDown', label: 'Volume down', keys: 'Alt+ArrowDown', repeat: true, run: () => changeVolume(-VOLUME_STEP) },
+    {
+      id: 'mute',
+      label: 'Mute',
+      keys: 'Alt+KeyM',
+      run: () => {
+        headerAudio.muted = !headerAudio.muted;
+        showOsd(headerAudio.muted ? 'Muted' : `Volume ${Math.round(headerAudio.volume * 100)}%`);
+      }
+    },
+    { id: 'speedUp', label: 'Speed up', keys: 'Alt+Period', repeat: true, run: () => changeSpeed(SPEED_STEP) },
+    { id: 'speedDown', label: 'Slow down', keys: 'Alt+Comma', repeat: true, run: () => changeSpeed(-SPEED_STEP) },
+    { id: 'openPost', label: 'Jump to post', keys: 'Alt+KeyP', run: openCurrentPost }
+  ];
+
+  /**
+   * Reads hotkey bindings, falling back to defaults for unset actions.
+   * @returns {Record<string, string>} Action id -> key combo ('' when unbound).
+   */
+  function getHotkeys() {
+    const stored = GM_getValue(HOTKEYS_KEY, null) || {};
+    const keys = {};
+    for (const action of HOTKEY_ACTIONS) {
+      keys[action.id] = typeof stored[action.id] === 'string' ? stored[action.id] : action.keys;
+    }
+    return keys;
+  }
+
+  /**
+   * Persists hotkey bindings.
+   * @param {Record<string, string>} keys
+   */
+  function setHotkeys(keys) {
+    GM_setValue(HOTKEYS_KEY, keys);
+  }
+
+  /**
+   * Serializes a keyboard event as a combo like "Ctrl+Alt+KeyK".
+   * @param {KeyboardEvent} e
+   * @returns {string}
+   */
+  function comboFromEvent(e) {
+    const parts = [];
+    if (e.ctrlKey) parts.push('Ctrl');
+    if (e.metaKey) parts.push('Meta');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey) parts.push('Shift');
+    parts.push(e.code);
+    return parts.join('+');
+  }
+
+  /**
+   * Makes a key combo readable, e.g. "Alt+KeyK" -> "Alt+K".
+   * @param {string} combo
+   * @returns {string}
+   */
+  function formatCombo(combo) {
+    if (!combo) return '—';
+    return combo
+      .replace(/\bKey([A-Z])\b/g, '$1')
+      .replace(/\bDigit(\d)\b/g, '$1')
+      .replace(/\bArrow(Up|Down|Left|Right)\b/g, '$1')
+      .replace(/\bPeriod\b/g, '.')
+      .replace(/\bComma\b/g, ',');
+  }
+
+  /**
+   * Returns whether the event comes from a text field or rich editor.
+   * @param {Event} e
+   * @returns {boolean}
+   */
+  function isTypingTarget(e) {
+    const el = e.target;
+    if (!(el instanceof Element)) return false;
+    if (el.isContentEditable) return true;
+    return !!el.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])');
+  }
+
+  /**
+   * Dispatches global hotkeys to the header player.
+   * @param {KeyboardEvent} e
+   */
+  function onHotkey(e) {
+    if (!headerAudio || e.defaultPrevented || isTypingTarget(e)) return;
+    if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) return;
+    if (e.target instanceof Element && e.target.closest(`#${HOTKEYS_OVERLAY_ID}`)) return;
+
+    const combo = comboFromEvent(e);
+    const keys = getHotkeys();
+    const action = HOTKEY_ACTIONS.find((a) => keys[a.id] === combo);
+    if (!action || (e.repeat && !action.repeat)) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    action.run();
+  }
+
+  let hotkeysOverlayEl = null;
+
+  /**
+   * Builds the hotkey settings overlay.
+   * @returns {HTMLDivElement}
+   */
+  function createHotkeysOverlay() {
+    ensureStyles();
+
+    const el = document.createElement('div');
+    el.id = HOTKEYS_OVERLAY_ID;
+    el.innerHTML = `
+<div class="__dtfPinnedAudioOverlayHeader">
+  <div class="__dtfPinnedAudioOverlayTitle">Player hotkeys</div>
+  <button class="__dtfPinnedAudioBtn" data-close type="button" aria-label="Close">✕</button>
+</div>
+<div class="__dtfPinnedAudioHotkeys"></div>
+<div class="__dtfPinnedAudioOverlayFooter">
+  <span>Click a shortcut and press new keys. Esc cancels, Backspace unbinds.</span>
+  <button class="__dtfPinnedAudioBtn" data-reset type="button">Reset</button>
+</div>
+`;
+    document.body.appendChild(el);
+
+    const list = el.querySelector('.__dtfPinnedAudioHotkeys');
+    let capturing = null;
+
+    const render = () => {
+      const keys = getHotkeys();
+      list.textContent = '';
+      for (const action of HOTKEY_ACTIONS) {
+        const label = document.createElement('span');
+        label.textContent = action.label;
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = '__dtfPinnedAudioKey';
+        btn.textContent = capturing === action.id ? 'Press keys…' : formatCombo(keys[action.id]);
+        btn.addEventListener('click', () => {
+          capturing = action.id;
+          render();
+        });
+        list.append(label, btn);
+      }
+    };
+
+    el.addEventListener('keydown', (e) => {
+      if (!capturing) return;
+      if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.key !== 'Escape') {
+        const keys = getHotkeys();
+        keys[capturing] = e.key === 'Backspace' ? '' : comboFromEvent(e);
+        setHotkeys(keys);
+      }
+      capturing = null;
+      render();
+    }, true);
+
+    el.querySelector('[data-close]').addEventListener('click', () => {
+      el.style.display = 'none';
+    });
+    el.querySelector('[data-reset]').addEventListener('click', () => {
+      GM_setValue(HOTKEYS_KEY, null);
+      capturing = null;
+      render();
+    });
+
+    render();
+    return el;
+  }
+
+  /**
+   * Toggles the hotkey settings overlay.
+   */
+  function toggleHotkeysOverlay() {
+    if (!document.body) return;
+    if (!hotkeysOverlayEl) hotkeysOverlayEl = createHotkeysOverlay();
+    else hotkeysOverlayEl.style.display = hotkeysOverlayEl.style.display === 'none' ? 'block' : 'none';
+  }
+
+  /**
+   * Returns whether playing videos should be pinned into the mini-player.
+   * @returns {boolean}
+   */
+  function isVideoPinEnabled() {
+    return GM_getValue(VIDEO_PIN_KEY, false) === true;
+  }
+
+  /**
+   * Toggles the video mini-player mode.
+   */
+  function toggleVideoPin() {
+    const enabled = !isVideoPinEnabled();
+    GM_setValue(VIDEO_PIN_KEY, enabled);
+    if (!enabled) {
+      closeMiniPlayer();
+      watchVideo(null);
+    }
+    showOsd(`Video mini-player: ${enabled ? 'on' : 'off'}`);
+  }
+
+  /**
+   * Starts tracking a video the user plays with sound, so it can be pinned
+   * when it scrolls out of view or is removed by SPA navigation.
+   * Muted or looping videos are GIF-like feed clips and are ignored.
+   * @param {HTMLVideoElement|null} video
+   */
+  function watchVideo(video) {
+    if (watchedVideo && watchedVideo !== video) videoObserver?.unobserve(watchedVideo);
+    watchedVideo = video;
+    watchedVideoPlaying = !!video;
+    watchedVideoLink = video ? findPostLink(video) : null;
+    if (!video) return;
+    videoObserver ??= new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        if (entry.target !== watchedVideo || entry.isIntersecting) continue;
+        if (!watchedVideo.paused) pinVideo(watchedVideo);
+      }
+    }, { threshold: 0 });
+    videoObserver.observe(video);
+  }
+
+  /**
+   * Creates the floating mini-player once.
+   * @returns {HTMLDivElement}
+   */
+  function ensureMiniPlayer() {
+    ensureStyles();
+    if (miniEl) return miniEl;
+
+    miniEl = document.createElement('div');
+    miniEl.id = VIDEO_DOCK_ID;
+    miniEl.innerHTML = `
+<div class="__dtfPinnedVideoBar">
+  <a href="#" rel="noopener" data-router-link>Video</a>
+  <button class="__dtfPinnedAudioBtn" data-dock type="button" title="Back to the post" aria-label="Back to the post">↩</button>
+  <button class="__dtfPinnedAudioBtn" data-close type="button" title="Close" aria-label="Close">✕</button>
+</div>
+`;
+
+    const bar = miniEl.querySelector('.__dtfPinnedVideoBar');
+    let drag = null;
+    bar.addEventListener('pointerdown', (e) => {
+      if (e.target.closest('a, button')) return;
+      const rect = miniEl.getBoundingClientRect();
+      drag = { dx: e.clientX - rect.left, dy: e.clientY - rect.top };
+      bar.setPointerCapture?.(e.pointerId);
+      e.preventDefault();
+    });
+    bar.addEventListener('pointermove', (e) => {
+      if (!drag) return;
+      const maxLeft = window.innerWidth - miniEl.offsetWidth;
+      const maxTop = window.innerHeight - miniEl.offsetHeight;
+      miniEl.style.left = `${Math.min(maxLeft, Math.max(0, e.clientX - drag.dx))}px`;
+      miniEl.style.top = `${Math.min(maxTop, Math.max(0, e.clientY - drag.dy))}px`;
+      miniEl.style.right = 'auto';
+      miniEl.style.bottom = 'auto';
+    });
+    bar.addEventListener('pointerup', () => {
+      drag = null;
+    });
+
+    bar.querySelector('a').addEventListener('click', (e) => {
+      e.preventDefault();
+      if (miniTrack?.href) softNavigate(miniTrack.href);
+    });
+    bar.querySelector('[data-dock]').addEventListener('click', dockVideo);
+    bar.querySelector('[data-close]').addEventListener('click', closeMiniPlayer);
+
+    return miniEl;
+  }
+
+  /**
+   * Moves playback of a video into the floating mini-player.
+   * @param {HTMLVideoElement} video
+   */
+  function pinVideo(video) {
+    const mini = ensureMiniPlayer();
+    if (!mini.isConnected) document.body.appendChild(mini);
+
+    miniVideo?.remove();
+    miniVideo = video.cloneNode(true);
+    miniVideo.removeAttribute('id');
+    miniVideo.dataset.__dtfPinnedVideoMini = '1';
+    miniVideo.controls = true;
+    miniVideo.autoplay = false;
+    miniVideo.muted = false;
+    miniVideo.volume = video.volume;
+    miniVideo.playbackRate = video.playbackRate;
+    miniVideo.currentTime = video.currentTime || 0;
+    mini.appendChild(miniVideo);
+
+    const postLink = document.contains(video) ? findPostLink(video) : watchedVideoLink;
+    miniTrack = {
+      src: getAudioSrc(video),
+      href: postLink ? new URL(postLink.href, window.location.href).href : null,
+      title: postLink?.textContent?.trim() || 'Video'
+    };
+    const link = mini.querySelector('.__dtfPinnedVideoBar a');
+    link.textContent = miniTrack.title;
+    link.title = miniTrack.title;
+    link.href = miniTrack.href ? new URL(miniTrack.href).pathname : '#';
+
+    miniSource = video;
+    video.dataset.__dtfPinnedVideoSource = '1';
+    watchVideo(null);
+    video.pause();
+    mini.hidden = false;
+
+    const playPromise = miniVideo.play();
+    if (playPromise && typeof playPromise.catch === 'function') {
+      playPromise.catch(() => {});
+    }
+  }
+
+  /**
+   * Hands playback back to the source video, navigating to its post first
+   * when the source is no longer on the page.
+   */
+  function dockVideo() {
+    if (!miniVideo || !miniTrack) return;
+    const time = miniVideo.currentTime;
+    if (miniSource && document.contains(miniSource)) {
+      const source = miniSource;
+      closeMiniPlayer();
+      resumeDockedVideo(source, time);
+      return;
+    }
+    pendingDock = { src: miniTrack.src, time };
+    const href = miniTrack.href;
+    closeMiniPlayer();
+    softNavigate(href);
+  }
+
+  /**
+   * Continues playback in the inline video and scrolls it into view.
+   * @param {HTMLVideoElement} video
+   * @param {number} time
+   */
+  function resumeDockedVideo(video, time) {
+    video.currentTime = time;
+    video.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    const playPromise = video.play();
+    if (playPromise && typeof playPromise.catch === 'function') {
+      playPromise.catch(() => {});
+    }
+  }
+
+  /**
+   * Stops and hides the mini-player.
+   */
+  function closeMiniPlayer() {
+    if (miniVideo) {
+      miniVideo.pause();
+      miniVideo.remove();
+      miniVideo = null;
+    }
+    if (miniSource) delete miniSource.dataset.__dtfPinnedVideoSource;
+    miniSource = null;
+    miniTrack = null;
+    if (miniEl) miniEl.hidden = true;
+  }
+
+  /**
+   * Keeps the mini-player attached and resolves a pending dock after navigation.
+   */
+  function checkMiniPlayer() {
+    if (watchedVideo && watchedVideoPlaying && !document.contains(watchedVideo)) {
+      pinVideo(watchedVideo);
+    }
+    if (miniEl && miniVideo && !miniEl.isConnected && document.body) {
+      document.body.appendChild(miniEl);
+    }
+    if (pendingDock) {
+      const video = [...document.querySelectorAll('video')].find((v) => (
+        v.dataset.__dtfPinnedVideoMini !== '1' && getAudioSrc(v) === pendingDock.src
+      ));
+      if (video) {
+        const { time } = pendingDock;
+        pendingDock = null;
+        resumeDockedVideo(video, time);
+      }
+    }
+  }
+
+  /**
+   * Tracks video playback for the mini-player mode.
+   * @param {Event} e
+   */
+  function onVideoPlayState(e) {
+    const video = e.target;
+    if (!(video instanceof HTMLVideoElement)) return;
+    if (video.dataset.__dtfPinnedVideoMini === '1') return;
+
+    if (e.type === 'play') {
+      if (video === miniSource) closeMiniPlayer();
+      if (isVideoPinEnabled() && !video.muted && !video.loop) watchVideo(video);
+      return;
+    }
+    // Pauses caused by removal from the page must not cancel the pin.
+    if (video === watchedVideo && document.contains(video)) watchedVideoPlaying = false;
+  }
+
+  document.addEventListener('play', (e) => {
+    if (!isAudio(e.target)) return;
+    activateFromSource(e.target);
+  }, true);
+
+  document.addEventListener('play', onVideoPlayState, true);
+  document.addEventListener('pause', onVideoPlayState, true);
+  document.addEventListener('ended', onVideoPlayState, true);
+
+  /**
+   * Whether a mutation happened inside the player's own UI, like the time and
+   * sleep countdown updating while something plays.
+   * @param {MutationRecord} record
+   * @returns {boolean}
+   */
+  function isOwnMutation(record) {
+    return !!(hostEl?.contains(record.target) || dockEl?.contains(record.target));
+  }
+
+  /**
+   * Ensures the host survives SPA re-renders and rebinds to audio.
+   */
+  function startHostObserver() {
+    new MutationObserver((records) => {
+      if (records.every(isOwnMutation)) return;
+      if (hostEl && !document.contains(hostEl)) {
+        hostEl = null;
+        if (headerAudio && ensureHost()) {
+          // Keep header audio alive by recreating host and reattaching.
+          hostEl.appendChild(headerAudio);
+          renderHeaderLink();
+          showHost();
+        }
+      }
+      if (!hostEl) ensureHost();
+      checkMiniPlayer();
+      wireHeaderLink();
+      wireQueueButtons();
+      wireRemoteNotice();
+      wireControls();
+      wireHistory();
+      wireSleepTimer();
+      wireDownload();
+      tryPendingRestore();
+      checkDeepLink();
+      checkCommentFocus();
+
+      if (currentTrack?.src) {
         document.querySelectorAll('audio').forEach((el) => {
           if (el.dataset.__dtfPinnedAudioHeader === '1') return;
           if (el.dataset.__dtfPinnedAudioSource === '1') return;
@@ -441,19 +3157,72 @@
           sourceAudio.currentTime = currentTrack.time || 0;
           sourceAudio.volume = currentTrack.volume ?? sourceAudio.volume;
         });
+        refreshQueue();
       }
     }).observe(document.documentElement, { childList: true, subtree: true });
   }
 
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-      ensureHost();
-      wireHeaderLink();
-      startHostObserver();
-    }, { once: true });
-  } else {
+  window.addEventListener('pagehide', () => {
+    if (!currentTrack) return;
+    flushListened();
+    saveTrack();
+    if (headerAudio && !headerAudio.paused) postToTabs({ type: 'release' });
+  });
+
+  startTabSync();
+
+  document.addEventListener('keydown', onHotkey, true);
+
+  document.addEventListener('pointerdown', (e) => {
+    if (!(e.target instanceof Element)) return;
+    if (!e.target.closest(`#${VOLUME_POPOVER_ID}, #${VOLUME_ID}`)) toggleVolumePopover(false);
+    if (!e.target.closest(`#${HISTORY_PANEL_ID}, #${HISTORY_ID}`)) toggleHistoryPanel(false);
+    if (!e.target.closest(`#${SLEEP_POPOVER_ID}, #${SLEEP_ID}`)) toggleSleepPopover(false);
+    if (!e.target.closest(`#${DOWNLOAD_POPOVER_ID}, #${DOWNLOAD_ID}`)) toggleDownloadPopover(false);
+  }, true);
+
+  window.addEventListener('resize', updateMarquee);
+  window.addEventListener('hashchange', checkDeepLink);
+  window.addEventListener('popstate', checkDeepLink);
+
+  GM_registerMenuCommand('Configure player hotkeys…', toggleHotkeysOverlay);
+  GM_registerMenuCommand('Toggle video mini-player', toggleVideoPin);
+  GM_registerMenuCommand('Clear saved audio positions', clearPositions);
+
+  /**
+   * Restores the saved track once the header is available.
+   */
+  function tryPendingRestore() {
+    if (!pendingRestore) return;
+    if (currentTrack) {
+      pendingRestore = null;
+      return;
+    }
+    if (restoreTrack(pendingRestore)) pendingRestore = null;
+  }
+
+  /**
+   * Sets up the host, restores the saved track and starts observing the page.
+   */
+  function init() {
     ensureHost();
     wireHeaderLink();
+    wireQueueButtons();
+    wireRemoteNotice();
+    wireControls();
+    wireHistory();
+    wireSleepTimer();
+    wireDownload();
+    tryPendingRestore();
+    checkDeepLink();
     startHostObserver();
   }
+
+  pendingRestore = loadSavedTrack();
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init, { once: true });
+  } else {
+    init();
+  }
 })();
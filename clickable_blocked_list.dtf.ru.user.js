@@ -1,7 +1,7 @@
 // ==UserScript==
 // @name         Clickable blocked list
 // @namespace    https://dtf.ru/
-// @version      2026-02-01
+// @version      2026-10-19
 // @description  Make blocked users list clickable in feed settings
 // @author       g0ated <https://dtf.ru/id79490>
 // @match        https://dtf.ru/*
@@ -15,150 +15,3061 @@
   if (window.__dtfClickableBlockedListInited) return;
   window.__dtfClickableBlockedListInited = true;
 
+  const NOTES_KEY = "dtf_blocked_notes";
+  const EXPIRY_KEY = "dtf_blocked_expiry";
+  const BLOCKED_CACHE_KEY = "dtf_blocked_cache";
+  const HIDE_TRACES_KEY = "dtf_blocked_hide_traces";
+  const SNAPSHOT_KEY = "dtf_blocked_snapshot";
+  const CHANGELOG_KEY = "dtf_blocked_changelog";
+  const IGNORE_API_KEY = "dtf_blocked_ignore_api";
+
+  /**
+   * Reads a JSON value saved by `writeStore()`.
+   *
+   * @template T
+   * @param {string} key localStorage key.
+   * @param {T} fallback Returned when nothing (readable) is stored.
+   * @returns {T}
+   */
+  function readStore(key, fallback) {
+    try {
+      const raw = localStorage.getItem(key);
+      return raw == null ? fallback : JSON.parse(raw);
+    } catch {
+      return fallback;
+    }
+  }
+
+  /**
+   * Saves a JSON value in the site's localStorage. The script runs without
+   * grants, in the page itself, so userscript storage isn't available; notes
+   * are readable by the site's scripts too, as the README says.
+   *
+   * @param {string} key localStorage key.
+   * @param {any} value JSON-serializable value.
+   * @returns {void}
+   */
+  function writeStore(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch {
+      // Storage full or disabled: the data lives on for this page only.
+    }
+  }
+
+  /** Changelog entries kept; older ones are dropped. */
+  const CHANGELOG_LIMIT = 500;
+
+  /** The site's own dark theme switch on <html>; the OS color scheme may differ from it. */
+  const DARK_THEME_SELECTOR = ':is(html.dark, html[data-theme="dark"])';
+
+  /** Comment containers under posts and in the comment feeds. */
+  const COMMENT_SELECTOR = '[data-comment-id], .comment[data-id], .comment[id^="comment"]';
+
+  /**
+   * Ids of blocked accounts, and their uris (lowercase, no leading "/") mapped to
+   * the id, cached across sessions so traces can be hidden on pages other than the
+   * blocked list.
+   */
+  const blockedIds = new Set();
+  /** @type {Map<string, number>} */
+  const blockedUris = new Map();
+
+  /** Site sections whose single-segment paths ("/popular") look like profiles. */
+  const RESERVED_PATHS = new Set([
+    "popular", "new", "top", "my", "rules", "settings", "search", "discovery", "bookmarks", "notifications",
+    "drafts", "messenger", "plus"
+  ]);
+
+  /** Whether the site-wide trace filter is on. */
+  let hideTraces = !!readStore(HIDE_TRACES_KEY, false);
+
+  /** Whether hidden traces are temporarily shown ("show hidden" toggle, this page only). */
+  let revealTraces = false;
+
+  /** @type {Record<string, SnapshotEntry>} Live snapshot, updated as responses arrive. */
+  const snapshot = loadSnapshot();
+
+  /** Ids present in the snapshot from the previous visit, for "new since last visit". */
+  const previousIds = new Set(Object.keys(snapshot).map(Number));
+
+  /** Whether the changelog panel is open. */
+  let changelogOpen = false;
+
+  /**
+   * Accounts ticked for bulk actions.
+   * @type {Set<number>}
+   */
+  const selectedIds = new Set();
+
+  /**
+   * Accounts unblocked by a bulk action this session. They're forgotten right away,
+   * but their rows stay dimmed until the site re-renders the list.
+   * @type {Set<number>}
+   */
+  const unblockedIds = new Set();
+
+  /**
+   * Ids of the rows shown after the last search/tag filter pass.
+   * @type {number[]}
+   */
+  let visibleIds = [];
+
+  /**
+   * State of the current (or last) bulk unblock; null before the first one.
+   * `error` is the latest failure, shown with the names in `failed`; `positions` has
+   * each unblocked account's place among its namesakes, for the undo.
+   * @type {{ running: boolean, stop: boolean, log: string, done: BlockedUser[], failed: BlockedUser[], error: string,
+   *   positions: Map<number, number>, undoUntil: number }|null}
+   */
+  let bulkState = null;
+
+  /**
+   * A blocked account as captured from the API response.
+   *
+   * @typedef {Object} BlockedUser
+   * @property {number} id
+   * @property {string|null} uri
+   * @property {string} name
+   * @property {string|null} avatar Avatar image uuid (or URL), used to tell namesakes apart.
+   * @property {string} url Absolute profile URL.
+   * @property {string} capturedAt ISO date when the account was first seen in a response.
+   * @property {string|null} avatarUrl Avatar image URL for cards.
+   * @property {"user"|"subsite"|null} type Personal blog or community/company subsite.
+   * @property {string} description Profile description, plain text.
+   * @property {number|null} subscribers Subscriber count, when the API reports it.
+   * @property {"deleted"|"banned"|null} status Why the account is unavailable, if it is.
+   * @property {string[]} aliases Earlier display names, most recent first.
+   * @property {boolean} isNew Not in the snapshot from the previous visit.
+   */
+
+  /**
+   * The blocklist as last seen, keyed by id, persisted between visits.
+   *
+   * @typedef {Object} SnapshotEntry
+   * @property {string} name Current display name.
+   * @property {string|null} uri
+   * @property {string[]} names Every name seen, oldest first.
+   * @property {string} firstSeen ISO date when the account first showed up.
+   * @property {"deleted"|"banned"|null} status
+   */
+
+  /**
+   * A change detected between snapshots.
+   *
+   * @typedef {Object} ChangelogEntry
+   * @property {string} at ISO date.
+   * @property {number} id
+   * @property {"added"|"renamed"|"deleted"|"removed"} kind
+   * @property {string} name Name at the time of the change.
+   * @property {string} [from] Previous name, for renames.
+   */
+
+  /**
+   * Blocked accounts keyed by their stable API id.
+   * @type {Map<number, BlockedUser>}
+   */
+  const usersById = new Map();
+
+  /**
+   * Map of normalized displayed user names -> accounts with that name, in the
+   * order the API returned them. Used to match DOM entries back to API records.
+   * @type {Map<string, BlockedUser[]>}
+   */
+  const usersByName = new Map();
+
+  const UUID_RE = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i;
+
+  /** Matches a site API URL and captures its versioned base, e.g. "https://api.dtf.ru/v2.1". */
+  const API_BASE_RE = /^(https:\/\/api\.[^/]+\/v\d+(?:\.\d+)*)\//i;
+
+  /**
+   * The blocked-list endpoint family: GET lists blocked accounts, other methods
+   * block or unblock them.
+   */
+  const API_RE = /\/(?:v\d+(?:\.\d+)*\/)?ignores\/subsites(?:[/?#]|$)/i;
+
+  /** Request fields that can carry the account id of an ignore call. */
+  const ID_FIELD_RE = /^(?:id|subsite_?id|user_?id|target_?id)$/i;
+
+  /** Delay between ignore API calls during import. */
+  const IMPORT_DELAY_MS = 1500;
+
+  /** Delay before retrying a rate-limited (HTTP 429) ignore API call. */
+  const RATE_LIMIT_BACKOFF_MS = 10000;
+
+  /** Extra passes over accounts whose bulk unblock failed. */
+  const BULK_RETRIES = 2;
+
+  /** How long a bulk unblock can be undone. */
+  const UNDO_WINDOW_MS = 60 * 1000;
+
+  const CSV_COLUMNS = ["id", "uri", "name", "avatar", "captured_at"];
+
+  /** Query parameters the API uses for paging; stripped to get the first page. */
+  const PAGING_PARAMS = ["offset", "page", "lastId", "lastSortingValue", "cursor"];
+
+  /** Delay between background page requests. */
+  const PAGE_DELAY_MS = 300;
+
+  /** Upper bound on background page requests, in case the API ignores paging. */
+  const MAX_PAGES = 500;
+
+  /**
+   * Progress of the background load of every blocked-list page.
+   * "done" means the end of the list was verified (an empty page, or the API-reported
+   * `total` reached); "partial" means paging stopped early, so accounts missing from
+   * `usersById` may still be blocked. Only "done" lets the script drop anything.
+   * @type {{ status: "idle"|"loading"|"done"|"partial"|"failed", total: number|null, error: string|null }}
+   */
+  const fullLoad = { status: "idle", total: null, error: null };
+
+  /**
+   * The site's own blocked-list request, captured by the fetch hook. Its URL is used to
+   * page the list and its headers carry the site's auth; kept in memory only.
+   * @type {{ url: string, headers: Headers }|null}
+   */
+  let listRequest = null;
+
+  /**
+   * Auth headers seen on the site's latest API request, so ignore calls work on any
+   * page, not only in the blocked list; kept in memory only.
+   * @type {{ headers: Headers }|null}
+   */
+  let apiContext = null;
+
+  /** How often expired temporary blocks are checked. */
+  const EXPIRY_CHECK_MS = 60 * 1000;
+
+  /**
+   * Ids whose expiry reminder is already on screen.
+   * @type {Set<number>}
+   */
+  const shownReminders = new Set();
+
+  /**
+   * Ids whose ended block this tab is handling right now, so overlapping checks
+   * don't unblock the same account twice.
+   * @type {Set<number>}
+   */
+  const expiryInFlight = new Set();
+
+  /**
+   * Claims on ended blocks, shared by every dtf.ru tab: `{ [id]: { tab, at } }`.
+   * A claim older than `EXPIRY_CLAIM_MS` is stale (its tab was closed mid-request).
+   */
+  const EXPIRY_CLAIMS_KEY = "dtf_blocked_expiry_claims";
+  const EXPIRY_CLAIM_MS = 30 * 1000;
+
+  /** Channel dtf.ru tabs use to tell each other an ended block was dealt with. */
+  const CHANNEL_NAME = "dtf_blocked_list";
+  const TAB_ID = Math.random().toString(36).slice(2);
+
+  /** @type {BroadcastChannel|null} */
+  let channel = null;
+
+  /**
+   * Unwrapped `fetch`, used for the script's own API calls.
+   * @type {typeof fetch}
+   */
+  const nativeFetch = window.fetch;
+
+  /**
+   * What an observed response is passed to subscribers with.
+   *
+   * @typedef {Object} ObservedResponse
+   * @property {string} url Absolute request URL.
+   * @property {string} method Uppercase HTTP method.
+   * @property {Headers} headers Request headers set by the site.
+   * @property {"fetch"|"xhr"} transport
+   * @property {number} status
+   * @property {any} body Request body as the site passed it, or null.
+   * @property {() => Promise<any>} json Parses the body once; rejects for non-JSON bodies.
+   */
+
+  /**
+   * Response subscribers registered with `observeResponses()`.
+   * @type {{ name: string, pattern: RegExp, callback: (res: ObservedResponse) => void }[]}
+   */
+  const responseSubscribers = [];
+
+  /**
+   * Endpoints seen by the observer layer, for the debug list.
+   * Keyed by "METHOD transport endpoint", where numeric path segments become ":id".
+   * `error` is the latest subscriber failure on that endpoint.
+   * @type {Map<string, { count: number, subscribers: string[], last: number, error: string|null }>}
+   */
+  const observedEndpoints = new Map();
+
+  /**
+   * Responses already dispatched; a fetch wrapped twice (ours inside someone else's
+   * inside ours) must not reach subscribers twice.
+   * @type {WeakSet<object>}
+   */
+  const dispatchedResponses = new WeakSet();
+
+  /**
+   * State of the import panel; null when no import is open. `wouldBlock` is what the
+   * last dry run went through; `failures` are the accounts the last run couldn't block.
+   * @type {{ incoming: BlockedUser[], missing: BlockedUser[], extra: number, running: boolean, stop: boolean, log: string,
+   *   wouldBlock: BlockedUser[], failures: { user: BlockedUser, error: string }[] }|null}
+   */
+  let importState = null;
+
+  /**
+   * Search and sort applied to the blocked list. Reapplied on every linkify pass,
+   * so it survives SPA re-renders of the rows.
+   * @type {{ query: string, sort: "default"|"name"|"id"|"blocked" }}
+   */
+  const listView = { query: "", sort: "default" };
+
+  /**
+   * A note attached to a blocked account.
+   *
+   * @typedef {Object} BlockNote
+   * @property {string} note Free-form reason.
+   * @property {string[]} tags Lowercase tags without "#".
+   * @property {string} blockedAt Block date as "YYYY-MM-DD", or "" when unknown.
+   */
+
+  /**
+   * Id of the account whose note editor is open, if any.
+   * @type {number|null}
+   */
+  let editingNoteId = null;
+
+  /**
+   * Id of the account whose temporary-block editor is open, if any.
+   * @type {number|null}
+   */
+  let editingExpiryId = null;
+
+  /**
+   * Tag the list is filtered by; "" shows every row.
+   * @type {string}
+   */
+  let tagFilter = "";
+
+  const SORT_LABELS = {
+    default: "Site order",
+    name: "Name",
+    id: "Id",
+    captured: "Date captured",
+    blocked: "Date blocked"
+  };
+
+  /**
+   * Normalizes user-displayed names for stable map lookups.
+   * Collapses whitespace, trims, and lowercases.
+   *
+   * @param {string|null|undefined} s
+   * @returns {string}
+   */
+  const normName = (s) => (s ?? "").toString().trim().replace(/\s+/g, " ").toLowerCase();
+
+  /**
+   * Builds an absolute DTF profile URL from a user-like object returned by the API.
+   * Prefers `uri` when present (e.g. "/nickname"), otherwise falls back to "id<ID>".
+   *
+   * @param {{ uri?: string, id?: number }} u
+   * @returns {string|null} Absolute profile URL or null if it cannot be derived.
+   */
+  function buildProfileUrl(u) {
+    return (u?.uri && u.uri !== "")
+      ? ("https://dtf.ru" + u.uri)
+      : (u?.id != null ? ("https://dtf.ru/id" + u.id) : null);
+  }
+
+  /**
+   * Extracts a comparable avatar key from a user-like API object.
+   * Osnova returns avatars as `{ type: "image", data: { uuid } }`; plain URLs are
+   * reduced to their image uuid when they contain one.
+   *
+   * @param {any} u
+   * @returns {string|null}
+   */
+  function getAvatarKey(u) {
+    const a = u?.avatar;
+    const raw = a?.data?.uuid || a?.uuid || (typeof a === "string" ? a : null) || u?.avatar_url || null;
+    if (!raw) return null;
+    return UUID_RE.exec(raw)?.[0].toLowerCase() ?? raw;
+  }
+
+  /**
+   * Builds an avatar image URL from a user-like API object.
+   *
+   * @param {any} u
+   * @returns {string|null}
+   */
+  function getAvatarUrl(u) {
+    const key = getAvatarKey(u);
+    if (!key) return null;
+    if (/^https?:/i.test(key)) return key;
+    return UUID_RE.test(key) ? "https://leonardo.osnova.io/" + key + "/-/scale_crop/96x96/" : null;
+  }
+
+  /**
+   * Tells personal blogs from community/company subsites.
+   * Osnova reports `subtype` ("personal_blog", "community", ...) or a numeric `type` (1 = user).
+   *
+   * @param {any} u
+   * @returns {"user"|"subsite"|null}
+   */
+  function getProfileType(u) {
+    if (typeof u?.subtype === "string") return u.subtype === "personal_blog" ? "user" : "subsite";
+    if (u?.type === 1) return "user";
+    if (Number.isInteger(u?.type)) return "subsite";
+    return null;
+  }
+
+  /**
+   * Reads the subscriber count from the fields the API is known to use.
+   *
+   * @param {any} u
+   * @returns {number|null}
+   */
+  function getSubscribers(u) {
+    for (const v of [u?.counters?.subscribers, u?.subscribersCount, u?.subscribers_count]) {
+      if (Number.isFinite(v)) return v;
+    }
+    return null;
+  }
+
+  /**
+   * Detects deleted or banned accounts.
+   *
+   * @param {any} u
+   * @returns {"deleted"|"banned"|null}
+   */
+  function getAccountStatus(u) {
+    if (u?.isDeleted || u?.is_deleted || u?.isRemoved) return "deleted";
+    if (u?.isBanned || u?.is_banned || u?.isFrozen || u?.isUnavailable) return "banned";
+    return null;
+  }
+
+  /**
+   * Stores (or refreshes) a blocked account from the API response.
+   *
+   * @param {any} u User-like object returned by the API.
+   * @returns {void}
+   */
+  function rememberUser(u) {
+    const url = buildProfileUrl(u);
+    if (!url || u?.id == null || !u?.name) return;
+
+    const prev = usersById.get(u.id);
+    if (prev) {
+      const list = usersByName.get(normName(prev.name));
+      const idx = list ? list.indexOf(prev) : -1;
+      if (idx >= 0) list.splice(idx, 1);
+    }
+
+    const status = getAccountStatus(u) ?? prev?.status ?? null;
+    const known = trackSnapshot(u.id, u.name, u.uri || null, status);
+
+    /** @type {BlockedUser} */
+    const user = {
+      id: u.id,
+      uri: u.uri || null,
+      name: u.name,
+      avatar: getAvatarKey(u) ?? prev?.avatar ?? null,
+      url,
+      capturedAt: known.firstSeen,
+      avatarUrl: getAvatarUrl(u) ?? prev?.avatarUrl ?? null,
+      type: getProfileType(u) ?? prev?.type ?? null,
+      description: typeof u.description === "string" ? u.description.trim() : prev?.description || "",
+      subscribers: getSubscribers(u) ?? prev?.subscribers ?? null,
+      status,
+      aliases: known.names.filter((n) => normName(n) !== normName(u.name)).reverse(),
+      isNew: previousIds.size > 0 && !previousIds.has(u.id)
+    };
+    usersById.set(user.id, user);
+
+    const key = normName(user.name);
+    if (!usersByName.has(key)) usersByName.set(key, []);
+    usersByName.get(key).push(user);
+
+    if (!blockedIds.has(user.id) || (user.uri && blockedUris.get(uriKey(user.uri)) !== user.id)) {
+      blockedIds.add(user.id);
+      if (user.uri) blockedUris.set(uriKey(user.uri), user.id);
+      scheduleCacheSave();
+    }
+  }
+
+  /**
+   * Reads the blocklist snapshot saved on earlier visits.
+   * @returns {Record<string, SnapshotEntry>}
+   */
+  function loadSnapshot() {
+    const saved = readStore(SNAPSHOT_KEY, null);
+    return saved && typeof saved === "object" ? saved : {};
+  }
+
+  let snapshotSaveTimer = 0;
+
+  /**
+   * Persists the live snapshot, coalescing bursts of updates.
+   * @returns {void}
+   */
+  function scheduleSnapshotSave() {
+    clearTimeout(snapshotSaveTimer);
+    snapshotSaveTimer = setTimeout(() => writeStore(SNAPSHOT_KEY, snapshot), 500);
+  }
+
+  /** @type {ChangelogEntry[]} Entries waiting for the next changelog write. */
+  let pendingChanges = [];
+  let changelogSaveTimer = 0;
+
+  /**
+   * Queues entries for the changelog. A page of captured accounts can log many
+   * changes at once, so they're written in one go, like the snapshot.
+   *
+   * @param {ChangelogEntry[]} entries
+   * @returns {void}
+   */
+  function logChanges(entries) {
+    if (!entries.length) return;
+    pendingChanges.push(...entries);
+    clearTimeout(changelogSaveTimer);
+    changelogSaveTimer = setTimeout(flushChangelog, 500);
+  }
+
+  /**
+   * Appends queued entries to the stored changelog, newest last, keeping at most
+   * `CHANGELOG_LIMIT`.
+   * @returns {void}
+   */
+  function flushChangelog() {
+    clearTimeout(changelogSaveTimer);
+    if (!pendingChanges.length) return;
+    const log = readStore(CHANGELOG_KEY, []).concat(pendingChanges);
+    pendingChanges = [];
+    writeStore(CHANGELOG_KEY, log.slice(-CHANGELOG_LIMIT));
+    if (changelogOpen) renderChangelogPanel();
+  }
+
+  /**
+   * Diffs a captured account against the snapshot, logs what changed (new account,
+   * rename, deletion) and updates the snapshot entry.
+   *
+   * @param {number} id
+   * @param {string} name
+   * @param {string|null} uri
+   * @param {"deleted"|"banned"|null} status
+   * @returns {SnapshotEntry} The updated entry.
+   */
+  function trackSnapshot(id, name, uri, status) {
+    const at = new Date().toISOString();
+    const entry = snapshot[id];
+    const changes = [];
+
+    if (!entry) {
+      // On the very first run everything is "new"; that isn't worth logging.
+      if (previousIds.size) changes.push({ at, id, kind: "added", name });
+      snapshot[id] = { name, uri, names: [name], firstSeen: at, status };
+    } else {
+      if (entry.name !== name) {
+        changes.push({ at, id, kind: "renamed", name, from: entry.name });
+        entry.names = entry.names.filter((n) => n !== name).concat(name);
+        entry.name = name;
+      }
+      if (status && entry.status !== status) changes.push({ at, id, kind: "deleted", name });
+      entry.status = status;
+      entry.uri = uri;
+      if (!changes.length) return entry;
+    }
+
+    logChanges(changes);
+    scheduleSnapshotSave();
+    return snapshot[id];
+  }
+
+  /**
+   * Drops snapshot entries for accounts no longer in the fully loaded list and logs
+   * them as removed (unblocked elsewhere, or gone from the site). Does nothing until
+   * the load is verified complete: an account that's merely not loaded yet isn't removed.
+   * @returns {void}
+   */
+  function pruneSnapshot() {
+    if (fullLoad.status !== "done") return;
+    const at = new Date().toISOString();
+    const changes = [];
+    for (const key of Object.keys(snapshot)) {
+      if (usersById.has(Number(key))) continue;
+      changes.push({ at, id: Number(key), kind: "removed", name: snapshot[key].name });
+      delete snapshot[key];
+    }
+    logChanges(changes);
+    if (changes.length) scheduleSnapshotSave();
+  }
+
+  /**
+   * Normalizes a profile uri for the blocked cache: lowercase, no leading "/".
+   *
+   * @param {string} uri
+   * @returns {string}
+   */
+  function uriKey(uri) {
+    return uri.replace(/^\/+/, "").toLowerCase();
+  }
+
+  /**
+   * Loads the blocked ids/uris cached by earlier sessions. Caches that kept bare
+   * uris, without their ids, only keep the ids; the next list visit restores the rest.
+   * @returns {void}
+   */
+  function loadBlockedCache() {
+    const cache = readStore(BLOCKED_CACHE_KEY, null);
+    for (const id of cache?.ids || []) blockedIds.add(id);
+    for (const entry of cache?.uris || []) {
+      if (Array.isArray(entry)) blockedUris.set(entry[0], entry[1]);
+    }
+  }
+
+  let cacheSaveTimer = 0;
+
+  /**
+   * Persists the blocked ids/uris, coalescing bursts of updates.
+   * @returns {void}
+   */
+  function scheduleCacheSave() {
+    clearTimeout(cacheSaveTimer);
+    cacheSaveTimer = setTimeout(() => {
+      writeStore(BLOCKED_CACHE_KEY, { ids: Array.from(blockedIds), uris: Array.from(blockedUris.entries()) });
+      scheduleTraceScan();
+    }, 500);
+  }
+
+  /**
+   * Replaces the cache with the captured list once every page has been loaded,
+   * dropping accounts that were unblocked since the last visit.
+   * @returns {void}
+   */
+  function resetBlockedCache() {
+    blockedIds.clear();
+    blockedUris.clear();
+    for (const user of usersById.values()) {
+      blockedIds.add(user.id);
+      if (user.uri) blockedUris.set(uriKey(user.uri), user.id);
+    }
+    scheduleCacheSave();
+  }
+
+  /**
+   * Extracts account objects from a blocked-list response.
+   * Accepts both `{ result: [...] }` and `{ result: { items: [...] } }` shapes.
+   *
+   * @param {any} json
+   * @returns {any[]}
+   */
+  function extractUsers(json) {
+    const result = json?.result;
+    if (Array.isArray(result)) return result;
+    if (Array.isArray(result?.items)) return result.items;
+    return [];
+  }
+
+  /**
+   * Reads the API-reported number of blocked accounts, if the response has one.
+   *
+   * @param {any} json
+   * @returns {number|null}
+   */
+  function extractTotal(json) {
+    for (const v of [json?.result?.count, json?.result?.total, json?.count, json?.total]) {
+      if (Number.isInteger(v) && v >= 0) return v;
+    }
+    return null;
+  }
+
+  /**
+   * Whether a blocked-list URL asks for a page other than the first.
+   *
+   * @param {string} url
+   * @returns {boolean}
+   */
+  function isPagedUrl(url) {
+    const params = new URL(url).searchParams;
+    return PAGING_PARAMS.some((p) => params.has(p));
+  }
+
+  /**
+   * Walks every page of the blocked list in the background, using the endpoint and
+   * headers of the site's own request, so links and counts don't depend on scrolling.
+   * Follows a `lastId`/`lastSortingValue` cursor when the API returns one, otherwise
+   * pages by `offset`. Stops on an empty page, when `total` is reached, or when a page
+   * brings nothing new; only the first two mark the list complete.
+   *
+   * @returns {Promise<void>}
+   */
+  async function loadAllPages() {
+    if (!listRequest || fullLoad.status === "loading") return;
+    fullLoad.status = "loading";
+    fullLoad.error = null;
+    scheduleLinkify();
+
+    const url = new URL(listRequest.url);
+    for (const p of PAGING_PARAMS) url.searchParams.delete(p);
+    const headers = new Headers(listRequest.headers);
+    let offset = 0;
+    let complete = false;
+
+    try {
+      for (let page = 0; page < MAX_PAGES; page++) {
+        const resp = await nativeFetch.call(window, url.href, { headers, credentials: "include" });
+        if (!resp.ok) throw new Error("HTTP " + resp.status);
+        const json = await resp.json();
+
+        const users = extractUsers(json);
+        const total = extractTotal(json);
+        if (total !== null) fullLoad.total = total;
+        if (!users.length) {
+          complete = true;
+          break;
+        }
+
+        const before = usersById.size;
+        const known = users.filter((u) => usersById.has(u?.id)).length;
+        for (const u of users) rememberUser(u);
+        scheduleLinkify();
+        if (fullLoad.total !== null && usersById.size >= fullLoad.total) {
+          complete = true;
+          break;
+        }
+        if (known === users.length && usersById.size === before && page > 0) break;
+
+        const cursor = json?.result;
+        if (cursor?.lastId != null) {
+          url.searchParams.set("lastId", String(cursor.lastId));
+          if (cursor.lastSortingValue != null) url.searchParams.set("lastSortingValue", String(cursor.lastSortingValue));
+        } else {
+          offset += users.length;
+          url.searchParams.set("offset", String(offset));
+        }
+        await new Promise((r) => setTimeout(r, PAGE_DELAY_MS));
+      }
+      fullLoad.status = complete ? "done" : "partial";
+      if (complete) {
+        resetBlockedCache();
+        pruneSnapshot();
+      }
+    } catch (e) {
+      fullLoad.status = "failed";
+      fullLoad.error = e?.message || String(e);
+    }
+    scheduleLinkify();
+  }
+
+  /**
+   * Registers a subscriber for site responses whose URL matches `pattern`.
+   * Works for both fetch and XMLHttpRequest; see `installResponseObservers()`.
+   *
+   * @param {string} name Shown in the debug list.
+   * @param {RegExp} pattern Tested against the absolute request URL.
+   * @param {(res: ObservedResponse) => void} callback
+   * @returns {void}
+   */
+  function observeResponses(name, pattern, callback) {
+    responseSubscribers.push({ name, pattern, callback });
+  }
+
+  /**
+   * Normalizes a URL into a debug-list endpoint: no query, numeric segments as ":id".
+   *
+   * @param {string} url
+   * @returns {string}
+   */
+  function endpointOf(url) {
+    const u = new URL(url);
+    return u.origin + u.pathname.replace(/\/\d+(?=\/|$)/g, "/:id");
+  }
+
+  /**
+   * Hands a finished response to every matching subscriber and records the endpoint.
+   *
+   * @param {object} token Identity of the response, to skip duplicates.
+   * @param {Omit<ObservedResponse, "json">} res
+   * @param {() => Promise<any>} readJson Reads the body as JSON.
+   * @returns {void}
+   */
+  function dispatchResponse(token, res, readJson) {
+    if (dispatchedResponses.has(token)) return;
+    dispatchedResponses.add(token);
+
+    const matched = responseSubscribers.filter((s) => s.pattern.test(res.url));
+    let entry = null;
+    if (API_BASE_RE.test(res.url) || matched.length) {
+      const key = res.method + " " + res.transport + " " + endpointOf(res.url);
+      entry = observedEndpoints.get(key) || { count: 0, subscribers: [], last: 0, error: null };
+      entry.count++;
+      entry.last = Date.now();
+      for (const s of matched) if (!entry.subscribers.includes(s.name)) entry.subscribers.push(s.name);
+      observedEndpoints.set(key, entry);
+    }
+
+    let parsed = null;
+    const observed = { ...res, json: () => (parsed ||= readJson()) };
+    for (const s of matched) {
+      try {
+        s.callback(observed);
+      } catch (e) {
+        // Listed by the "API log" button; one broken subscriber mustn't stop the rest.
+        if (entry) entry.error = s.name + ": " + (e?.message || e);
+      }
+    }
+  }
+
+  /**
+   * Wraps a fetch implementation so its responses reach the subscribers.
+   * Uses Response.clone() to avoid consuming the body for the original code.
+   *
+   * @param {typeof fetch} impl
+   * @returns {typeof fetch}
+   */
+  function wrapFetch(impl) {
+    return async function(input, init) {
+      const resp = await impl.apply(this, arguments);
+      try {
+        const url = typeof input === "string" || input instanceof URL ? String(input) : input?.url;
+        if (url && resp && typeof resp.clone === "function" && !dispatchedResponses.has(resp)) {
+          const href = new URL(url, window.location.href).href;
+          const copy = responseSubscribers.some((s) => s.pattern.test(href)) ? resp.clone() : null;
+          dispatchResponse(resp, {
+            url: href,
+            method: (init?.method || input?.method || "GET").toUpperCase(),
+            headers: new Headers(init?.headers || input?.headers),
+            body: init?.body ?? null,
+            transport: "fetch",
+            status: resp.status
+          }, () => (copy ? copy.json() : Promise.reject(new Error("Body not captured"))));
+        }
+      } catch {}
+      return resp;
+    };
+  }
+
+  /**
+   * Installs the response observers: a fetch wrapper that stays in place when the
+   * page (or another script) later assigns `window.fetch` — the new value gets
+   * wrapped too — and XMLHttpRequest hooks that record the method, URL and headers
+   * of each request and dispatch its response on load.
+   *
+   * Does NOT initiate requests; it only observes the site's own.
+   *
+   * @returns {void}
+   */
+  function installResponseObservers() {
+    let current = wrapFetch(window.fetch);
+    try {
+      Object.defineProperty(window, "fetch", {
+        configurable: true,
+        enumerable: true,
+        get: () => current,
+        set: (fn) => {
+          current = typeof fn === "function" ? wrapFetch(fn) : fn;
+        }
+      });
+    } catch {
+      window.fetch = current;
+    }
+
+    const proto = window.XMLHttpRequest?.prototype;
+    if (!proto) return;
+    const xhrInfo = new WeakMap();
+    const origOpen = proto.open;
+    const origSetRequestHeader = proto.setRequestHeader;
+    const origSend = proto.send;
+
+    proto.open = function(method, url) {
+      try {
+        xhrInfo.set(this, {
+          method: String(method || "GET").toUpperCase(),
+          url: new URL(String(url), window.location.href).href,
+          headers: new Headers(),
+          body: null
+        });
+      } catch {}
+      return origOpen.apply(this, arguments);
+    };
+
+    proto.setRequestHeader = function(name, value) {
+      try {
+        xhrInfo.get(this)?.headers.append(name, value);
+      } catch {}
+      return origSetRequestHeader.apply(this, arguments);
+    };
+
+    proto.send = function(body) {
+      const info = xhrInfo.get(this);
+      if (info) {
+        info.body = body ?? null;
+        this.addEventListener("load", () => {
+          const xhr = this;
+          dispatchResponse(xhr, { ...info, transport: "xhr", status: xhr.status }, async () => {
+            if (xhr.responseType === "json") return xhr.response;
+            if (xhr.responseType && xhr.responseType !== "text") throw new Error("Non-text XHR body");
+            return JSON.parse(xhr.responseText);
+          });
+        });
+      }
+      return origSend.apply(this, arguments);
+    };
+  }
+
+  /**
+   * Lists the observed endpoints in a toast (toolbar debug button).
+   * @returns {void}
+   */
+  function showObservedEndpoints() {
+    const lines = Array.from(observedEndpoints, ([key, e]) =>
+      key + "  ×" + e.count + (e.subscribers.length ? "  → " + e.subscribers.join(", ") : "") +
+      (e.error ? "  ✕ " + e.error : "")
+    );
+    const pre = document.createElement("pre");
+    pre.style.cssText = "margin:0;max-height:50vh;overflow:auto;font-size:11px;white-space:pre-wrap;word-break:break-all";
+    pre.textContent = lines.length ? lines.join("\n") : "No API responses observed on this page yet.";
+    const toast = showToast(["Observed endpoints:", pre], [
+      ["Copy", () => navigator.clipboard?.writeText(pre.textContent).catch(() => {})]
+    ]);
+    toast.style.width = "min(640px, calc(100vw - 32px))";
+  }
+
+  /**
+   * Listens for the blocked-users API call and forwards its parsed JSON response
+   * to `callback`, remembering the request so the script can page and call the
+   * ignore API the same way the site does.
+   *
+   * @param {(json: any) => void} callback Function invoked with the parsed JSON response.
+   * @returns {void}
+   */
+  function onBlockedUsersResponse(callback) {
+    observeResponses("blocked list", API_RE, (res) => {
+      if (res.method !== "GET") return;
+      listRequest = { url: res.url, headers: res.headers };
+      res.json().then(callback).catch(() => {});
+    });
+  }
+
+  /**
+   * Click handler for injected profile links: navigates inside the SPA when possible.
+   *
+   * @param {MouseEvent} e
+   * @returns {void}
+   */
+  function onProfileLinkClick(e) {
+    const a = /** @type {HTMLAnchorElement} */ (e.currentTarget);
+    const navUrl = new URL(a.href, window.location.href);
+    if (navUrl.origin !== window.location.origin) return;
+    const path = navUrl.pathname + navUrl.search + navUrl.hash;
+    if (tryRouterPush(path)) {
+      e.preventDefault();
+      return;
+    }
+    if (softNavigate(path)) {
+      e.preventDefault();
+      return;
+    }
+  }
+
+  /**
+   * Ensures the provided name element contains a single clickable <a> pointing
+   * to `profileUrl`. The function is idempotent: safe to call repeatedly.
+   *
+   * @param {HTMLElement|null} nameEl Element containing the user's displayed name.
+   * @param {string|null} profileUrl Absolute URL of the user's profile.
+   * @returns {void}
+   */
+  function ensureNameLink(nameEl, profileUrl) {
+    if (!nameEl || !profileUrl) return;
+    const url = new URL(profileUrl, window.location.href);
+    const path = url.pathname + url.search + url.hash;
+
+    if (nameEl.dataset.dtfLinked === "1") {
+      // A later response may have resolved the row to a different namesake.
+      const own = nameEl.querySelector("a[data-dtf-profile-link]");
+      if (own && own.getAttribute("href") !== path) own.setAttribute("href", path);
+      return;
+    }
+
+    if (nameEl.querySelector("a")) {
+      nameEl.dataset.dtfLinked = "1";
+      return;
+    }
+
+    const a = document.createElement("a");
+    a.href = path;
+    a.dataset.dtfProfileLink = "1";
+    a.rel = "noopener noreferrer";
+    a.style.color = "inherit";
+    a.style.textDecoration = "none";
+    a.style.cursor = "pointer";
+    a.addEventListener("click", onProfileLinkClick);
+
+    while (nameEl.firstChild) a.appendChild(nameEl.firstChild);
+    nameEl.appendChild(a);
+
+    nameEl.dataset.dtfLinked = "1";
+  }
+
+  /**
+   * Undoes `ensureNameLink()`: unwraps the profile link it added, if any, so a row
+   * that can no longer be matched doesn't keep pointing at its previous account.
+   *
+   * @param {HTMLElement} nameEl
+   * @returns {void}
+   */
+  function removeNameLink(nameEl) {
+    if (nameEl.dataset.dtfLinked !== "1") return;
+    const own = nameEl.querySelector("a[data-dtf-profile-link]");
+    if (own) own.replaceWith(...own.childNodes);
+    delete nameEl.dataset.dtfLinked;
+  }
+
+  /**
+   * Tries to access Vue Router and navigate with it.
+   * @param {string} path
+   * @returns {boolean}
+   */
+  function tryRouterPush(path) {
+    const app = document.querySelector("#app")?.__vue_app__;
+    const routerFromGlobals = app?.config?.globalProperties?.$router;
+    if (routerFromGlobals?.push) {
+      routerFromGlobals.push(path).catch(() => {});
+      return true;
+    }
+
+    const provides = app?._context?.provides;
+    if (!provides) return false;
+    for (const key of Reflect.ownKeys(provides)) {
+      const candidate = provides[key];
+      if (candidate?.push && candidate?.currentRoute) {
+        candidate.push(path).catch(() => {});
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Attempts SPA navigation via a hidden data-router-link anchor.
+   * @param {string} path
+   * @returns {boolean}
+   */
+  function softNavigate(path) {
+    const a = document.createElement("a");
+    a.href = path;
+    a.setAttribute("data-router-link", "");
+    a.style.display = "none";
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    return true;
+  }
+
+  /**
+   * Collects everything in a DOM row that may reference the avatar image. Our own
+   * nodes are skipped: the account card shows the matched avatar, which would
+   * otherwise confirm whatever match the row already has.
+   *
+   * @param {Element} item
+   * @returns {string}
+   */
+  function getItemAvatarSource(item) {
+    const isOwn = (el) => item.contains(el.closest("[class*='dtf-blocked-']"));
+    const parts = [];
+    for (const img of item.querySelectorAll("img")) {
+      if (!isOwn(img)) parts.push(img.currentSrc, img.src, img.srcset);
+    }
+    for (const el of item.querySelectorAll("[style*='background-image']")) {
+      if (!isOwn(el)) parts.push(el.style.backgroundImage);
+    }
+    return parts.filter(Boolean).join(" ").toLowerCase();
+  }
+
+  /**
+   * Matches a DOM row to a captured account by stable identity.
+   *
+   * Strategies, in order:
+   * 1. the name is unique among captured accounts;
+   * 2. exactly one namesake has the row's avatar;
+   * 3. every namesake is rendered, so the n-th row with that name is the n-th
+   *    record with that name in API order (the list renders in response order).
+   *
+   * @param {Element} item Row element.
+   * @param {BlockedUser[]} candidates Accounts with the row's name.
+   * @param {number} nth Position of the row among DOM rows with the same name.
+   * @param {number} rowsWithName Number of DOM rows with the same name.
+   * @returns {BlockedUser|null} Null when the row can't be matched unambiguously.
+   */
+  function matchUser(item, candidates, nth, rowsWithName) {
+    if (candidates.length === 1) return candidates[0];
+
+    const avatarSrc = getItemAvatarSource(item);
+    if (avatarSrc) {
+      const byAvatar = candidates.filter((u) => u.avatar && avatarSrc.includes(u.avatar.toLowerCase()));
+      if (byAvatar.length === 1) return byAvatar[0];
+    }
+
+    if (rowsWithName === candidates.length) return candidates[nth];
+    return null;
+  }
+
+  /**
+   * Shows (or removes) a marker listing every account a row could belong to.
+   *
+   * @param {HTMLElement} nameEl Row name element; the marker is placed after it.
+   * @param {BlockedUser[]|null} candidates Null removes the marker.
+   * @returns {void}
+   */
+  function setAmbiguousMarker(nameEl, candidates) {
+    let marker = nameEl.nextElementSibling?.classList.contains("dtf-blocked-ambiguous")
+      ? nameEl.nextElementSibling
+      : null;
+    if (!candidates) {
+      marker?.remove();
+      return;
+    }
+
+    const key = candidates.map((u) => u.id).join(",");
+    if (marker?.dataset.ids === key) return;
+    if (!marker) {
+      marker = document.createElement("span");
+      marker.className = "dtf-blocked-ambiguous";
+      marker.style.marginLeft = "6px";
+      marker.style.fontSize = "12px";
+      marker.style.opacity = "0.75";
+      nameEl.after(marker);
+    }
+    marker.dataset.ids = key;
+    marker.title = "Several blocked accounts share this name";
+    marker.textContent = "ambiguous: ";
+    candidates.forEach((u, i) => {
+      if (i > 0) marker.append(", ");
+      const a = document.createElement("a");
+      const url = new URL(u.url);
+      a.href = url.pathname;
+      a.textContent = u.uri ? u.uri.replace(/^\//, "") : "id" + u.id;
+      a.style.color = "inherit";
+      a.addEventListener("click", onProfileLinkClick);
+      marker.appendChild(a);
+    });
+  }
+
+  /**
+   * Reads every stored note, keyed by account id.
+   * @returns {Record<string, BlockNote>}
+   */
+  function loadNotes() {
+    const notes = readStore(NOTES_KEY, null);
+    return notes && typeof notes === "object" ? notes : {};
+  }
+
+  /**
+   * Returns the note for an account, if one is stored.
+   *
+   * @param {number} id
+   * @returns {BlockNote|null}
+   */
+  function getNote(id) {
+    return loadNotes()[id] || null;
+  }
+
+  /**
+   * Stores (or, when empty, removes) the note for an account.
+   *
+   * @param {number} id
+   * @param {BlockNote} entry
+   * @returns {void}
+   */
+  function saveNote(id, entry) {
+    const notes = loadNotes();
+    if (!entry.note && !entry.tags.length && !entry.blockedAt) delete notes[id];
+    else notes[id] = entry;
+    writeStore(NOTES_KEY, notes);
+  }
+
+  /**
+   * Splits user input into normalized tags.
+   *
+   * @param {string} text Comma- or space-separated tags, "#" optional.
+   * @returns {string[]}
+   */
+  function parseTags(text) {
+    const tags = text.split(/[,\s]+/).map((t) => t.replace(/^#+/, "").trim().toLowerCase()).filter(Boolean);
+    return Array.from(new Set(tags));
+  }
+
+  /**
+   * Formats a subscriber count compactly, e.g. "12.3K".
+   *
+   * @param {number} n
+   * @returns {string}
+   */
+  function formatCount(n) {
+    if (n >= 1e6) return (n / 1e6).toFixed(1).replace(/\.0$/, "") + "M";
+    if (n >= 1e4) return Math.round(n / 1e3) + "K";
+    if (n >= 1e3) return (n / 1e3).toFixed(1).replace(/\.0$/, "") + "K";
+    return String(n);
+  }
+
+  /**
+   * Lists the short facts shown on a card: changes since the last visit, type,
+   * subscribers and status.
+   *
+   * @param {BlockedUser} user
+   * @returns {{ text: string, status?: boolean, title?: string }[]}
+   */
+  function describeUser(user) {
+    const facts = [];
+    if (user.status) {
+      facts.push({ text: user.status === "deleted" ? "account deleted" : "unreachable (" + user.status + ")", status: true });
+    }
+    if (user.isNew) facts.push({ text: "new since last visit" });
+    if (user.aliases.length) {
+      facts.push({ text: "formerly known as " + user.aliases[0], title: "Earlier names: " + user.aliases.join(", ") });
+    }
+    if (user.type) facts.push({ text: user.type === "user" ? "user" : "subsite" });
+    if (user.subscribers !== null) facts.push({ text: formatCount(user.subscribers) + " subscribers" });
+    return facts;
+  }
+
+  /**
+   * Renders the card details under a linked name: an avatar when the site shows none,
+   * type and subscriber badges, deleted/banned status and a description snippet.
+   *
+   * @param {HTMLElement} item Row element.
+   * @param {HTMLElement} nameEl Row name element; the card is placed after it.
+   * @param {BlockedUser|null} user Matched account; null removes the card.
+   * @returns {void}
+   */
+  function renderRowCard(item, nameEl, user) {
+    ensureStyles();
+    let card = item.querySelector(".dtf-blocked-card");
+    if (!user) {
+      card?.remove();
+      item.querySelector(".dtf-blocked-card-avatar")?.remove();
+      return;
+    }
+
+    if (user.avatarUrl && !item.querySelector("img")) {
+      const img = document.createElement("img");
+      img.className = "dtf-blocked-card-avatar";
+      img.src = user.avatarUrl;
+      img.alt = "";
+      img.loading = "lazy";
+      img.style.cssText = "width:36px;height:36px;border-radius:8px;object-fit:cover;flex:none;margin-right:8px";
+      item.prepend(img);
+    }
+
+    const facts = describeUser(user);
+    const key = JSON.stringify([facts, user.description]);
+    if (card?.dataset.key === key) return;
+    if (!facts.length && !user.description) {
+      card?.remove();
+      return;
+    }
+
+    if (!card) {
+      card = document.createElement("div");
+      card.className = "dtf-blocked-card";
+      nameEl.after(card);
+    }
+    card.dataset.key = key;
+    card.textContent = "";
+    for (const fact of facts) {
+      const badge = document.createElement("span");
+      badge.className = "dtf-blocked-card-badge";
+      if (fact.status) badge.dataset.status = "";
+      if (fact.title) badge.title = fact.title;
+      badge.textContent = fact.text;
+      card.appendChild(badge);
+    }
+    if (user.description) {
+      const desc = document.createElement("span");
+      desc.className = "dtf-blocked-card-desc";
+      desc.textContent = user.description;
+      card.appendChild(desc);
+    }
+  }
+
+  let previewTimer = 0;
+
+  /**
+   * Shows the hover preview for a row's account next to the row.
+   *
+   * @param {HTMLElement} item Row element.
+   * @param {BlockedUser} user
+   * @returns {void}
+   */
+  function showPreview(item, user) {
+    ensureStyles();
+    let preview = document.getElementById("dtf-blocked-preview");
+    if (!preview) {
+      preview = document.createElement("div");
+      preview.id = "dtf-blocked-preview";
+      document.body.appendChild(preview);
+    }
+    preview.textContent = "";
+
+    if (user.avatarUrl) {
+      const img = document.createElement("img");
+      img.src = user.avatarUrl;
+      img.alt = "";
+      preview.appendChild(img);
+    }
+    const text = document.createElement("div");
+    text.style.minWidth = "0";
+    const title = document.createElement("div");
+    title.style.fontWeight = "600";
+    title.textContent = user.name;
+    const meta = document.createElement("div");
+    meta.style.cssText = "font-size:12px;opacity:0.7";
+    meta.textContent = [(user.uri || "id" + user.id), ...describeUser(user).map((f) => f.text)].join(" · ");
+    text.append(title, meta);
+    if (user.description) {
+      const desc = document.createElement("div");
+      desc.className = "dtf-blocked-preview-desc";
+      desc.textContent = user.description;
+      text.appendChild(desc);
+    }
+    preview.appendChild(text);
+
+    const rect = item.getBoundingClientRect();
+    const width = preview.offsetWidth || 300;
+    preview.style.left = Math.max(8, Math.min(rect.left, window.innerWidth - width - 8)) + "px";
+    const height = preview.offsetHeight || 120;
+    preview.style.top = (rect.bottom + height + 8 > window.innerHeight
+      ? Math.max(8, rect.top - height - 8)
+      : rect.bottom + 8) + "px";
+  }
+
+  /**
+   * Hides the hover preview.
+   * @returns {void}
+   */
+  function hidePreview() {
+    clearTimeout(previewTimer);
+    document.getElementById("dtf-blocked-preview")?.remove();
+  }
+
+  /**
+   * Wires the hover preview on a row once; the account is looked up on hover, so the
+   * listener keeps working when the row is matched later.
+   *
+   * @param {HTMLElement} item Row element.
+   * @returns {void}
+   */
+  function wirePreview(item) {
+    if (item.dataset.dtfPreview === "1") return;
+    item.dataset.dtfPreview = "1";
+    item.addEventListener("mouseenter", () => {
+      clearTimeout(previewTimer);
+      previewTimer = setTimeout(() => {
+        const user = usersById.get(Number(item.dataset.dtfUserId));
+        if (user && item.isConnected) showPreview(item, user);
+      }, 350);
+    });
+    item.addEventListener("mouseleave", hidePreview);
+  }
+
+  /**
+   * Renders the note, tags and block date next to a linked name, or the note editor
+   * when it's open for this account. Re-renders only when the content changed.
+   *
+   * @param {HTMLElement} item Row element.
+   * @param {HTMLElement} nameEl Row name element; the notes are placed after it.
+   * @param {BlockedUser|null} user Matched account; null removes the notes.
+   * @param {Record<string, BlockNote>} notes Stored notes, from `loadNotes()`.
+   * @param {Record<string, BlockExpiry>} expiries Temporary blocks, from `loadExpiries()`.
+   * @returns {void}
+   */
+  function renderRowNotes(item, nameEl, user, notes, expiries) {
+    let box = item.querySelector(".dtf-blocked-notes");
+    if (!user) {
+      box?.remove();
+      return;
+    }
+
+    const entry = notes[user.id] || null;
+    const expiry = expiries[user.id] || null;
+    const editing = editingNoteId === user.id;
+    const editingExpiry = editingExpiryId === user.id;
+    const remaining = expiry ? formatRemaining(expiry.until) : "";
+    const key = [user.id, editing, editingExpiry, JSON.stringify(entry), JSON.stringify(expiry), remaining].join(":");
+    if (box?.dataset.key === key) return;
+
+    if (!box) {
+      box = document.createElement("div");
+      box.className = "dtf-blocked-notes";
+      box.style.cssText = "font-size:12px;opacity:0.75;margin-top:2px;display:flex;flex-wrap:wrap;gap:6px;align-items:center";
+      (item.querySelector(".dtf-blocked-card") || nameEl).after(box);
+    }
+    box.dataset.key = key;
+    box.textContent = "";
+
+    if (editing) {
+      box.appendChild(buildNoteEditor(user, entry));
+      return;
+    }
+    if (editingExpiry) {
+      box.appendChild(buildExpiryEditor(user, expiry));
+      return;
+    }
+
+    const timer = document.createElement("a");
+    timer.href = "#";
+    timer.textContent = expiry ? "⏱ " + remaining + (expiry.mode === "auto" ? ", then unblock" : ", then remind") : "⏱";
+    timer.title = expiry ? "Until " + new Date(expiry.until).toLocaleString() : "Block temporarily";
+    timer.style.color = "inherit";
+    timer.addEventListener("click", (e) => {
+      e.preventDefault();
+      editingExpiryId = user.id;
+      scheduleLinkify();
+    });
+    box.appendChild(timer);
+
+    if (entry?.blockedAt) {
+      const date = document.createElement("span");
+      date.textContent = "blocked " + entry.blockedAt;
+      box.appendChild(date);
+    }
+    for (const tag of entry?.tags || []) {
+      const chip = document.createElement("a");
+      chip.href = "#";
+      chip.textContent = "#" + tag;
+      chip.title = "Show only #" + tag;
+      chip.style.color = "inherit";
+      chip.addEventListener("click", (e) => {
+        e.preventDefault();
+        setTagFilter(tagFilter === tag ? "" : tag);
+      });
+      box.appendChild(chip);
+    }
+    if (entry?.note) {
+      const note = document.createElement("span");
+      note.textContent = entry.note.length > 120 ? entry.note.slice(0, 120) + "…" : entry.note;
+      note.title = entry.note;
+      note.style.whiteSpace = "pre-line";
+      box.appendChild(note);
+    }
+
+    const edit = document.createElement("a");
+    edit.href = "#";
+    edit.textContent = entry ? "✎" : "+ note";
+    edit.title = "Edit note";
+    edit.style.color = "inherit";
+    edit.addEventListener("click", (e) => {
+      e.preventDefault();
+      editingNoteId = user.id;
+      scheduleLinkify();
+    });
+    box.appendChild(edit);
+  }
+
+  /**
+   * Builds the inline editor for an account's note, tags and block date.
+   *
+   * @param {BlockedUser} user
+   * @param {BlockNote|null} entry Current note, if any.
+   * @returns {HTMLFormElement}
+   */
+  function buildNoteEditor(user, entry) {
+    const field = "padding:3px 6px;border:1px solid currentColor;border-radius:6px;" +
+      "background:transparent;color:inherit;font:inherit";
+    const form = document.createElement("form");
+    form.style.cssText = "display:flex;flex-direction:column;gap:4px;width:100%;max-width:420px";
+
+    const note = document.createElement("textarea");
+    note.rows = 2;
+    note.placeholder = "Why is this account blocked?";
+    note.value = entry?.note || "";
+    note.style.cssText = field + ";resize:vertical";
+
+    const tags = document.createElement("input");
+    tags.placeholder = "Tags, comma separated";
+    tags.value = (entry?.tags || []).join(", ");
+    tags.style.cssText = field;
+
+    const date = document.createElement("input");
+    date.type = "date";
+    date.title = "Blocked on";
+    date.value = entry?.blockedAt || user.capturedAt.slice(0, 10);
+    date.style.cssText = field;
+
+    const actions = document.createElement("div");
+    actions.style.cssText = "display:flex;gap:6px";
+    const cancel = makeButton("Cancel", () => {
+      editingNoteId = null;
+      scheduleLinkify();
+    });
+    const save = makeButton("Save", () => {});
+    save.type = "submit";
+    actions.append(save, cancel);
+
+    form.append(note, tags, date, actions);
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      saveNote(user.id, { note: note.value.trim(), tags: parseTags(tags.value), blockedAt: date.value });
+      editingNoteId = null;
+      refreshTagFilter();
+      scheduleLinkify();
+    });
+    setTimeout(() => note.focus(), 0);
+    return form;
+  }
+
+  /**
+   * Sets the tag the list is filtered by.
+   *
+   * @param {string} tag "" clears the filter.
+   * @returns {void}
+   */
+  function setTagFilter(tag) {
+    tagFilter = tag;
+    refreshTagFilter();
+    scheduleLinkify();
+  }
+
+  /**
+   * Refills the toolbar's tag filter with every tag in use.
+   * @returns {void}
+   */
+  function refreshTagFilter() {
+    const select = document.querySelector("#dtf-blocked-toolbar .dtf-blocked-tags");
+    if (!select) return;
+
+    const tags = new Set();
+    for (const entry of Object.values(loadNotes())) for (const tag of entry.tags || []) tags.add(tag);
+    if (tagFilter) tags.add(tagFilter);
+
+    select.textContent = "";
+    select.add(new Option("All tags", ""));
+    for (const tag of Array.from(tags).sort()) select.add(new Option("#" + tag, tag));
+    select.value = tagFilter;
+    select.style.display = tags.size ? "" : "none";
+  }
+
+  /**
+   * A temporary block: when `until` passes the account is unblocked automatically
+   * or a reminder is shown, depending on `mode`.
+   *
+   * @typedef {Object} BlockExpiry
+   * @property {number} until Expiry timestamp (ms).
+   * @property {"auto"|"remind"} mode
+   * @property {string} name Display name, for reminders outside the blocked list.
+   * @property {string|null} uri
+   */
+
+  /**
+   * Reads every temporary block, keyed by account id.
+   * @returns {Record<string, BlockExpiry>}
+   */
+  function loadExpiries() {
+    const expiries = readStore(EXPIRY_KEY, null);
+    return expiries && typeof expiries === "object" ? expiries : {};
+  }
+
+  /**
+   * Stores or removes the temporary block of an account.
+   *
+   * @param {number} id
+   * @param {BlockExpiry|null} expiry Null makes the block permanent again.
+   * @returns {void}
+   */
+  function saveExpiry(id, expiry) {
+    const expiries = loadExpiries();
+    if (expiry) expiries[id] = expiry;
+    else delete expiries[id];
+    writeStore(EXPIRY_KEY, expiries);
+  }
+
+  /**
+   * Formats the time left until an expiry, e.g. "2d 5h left".
+   *
+   * @param {number} until Expiry timestamp (ms).
+   * @returns {string}
+   */
+  function formatRemaining(until) {
+    const ms = until - Date.now();
+    if (ms <= 0) return "expired";
+    const minutes = Math.ceil(ms / 60000);
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    if (days) return days + "d " + hours + "h left";
+    if (hours) return hours + "h " + (minutes % 60) + "m left";
+    return minutes + "m left";
+  }
+
+  /**
+   * Forgets an account that is no longer blocked.
+   *
+   * @param {number} id
+   * @returns {void}
+   */
+  function forgetUser(id) {
+    const user = usersById.get(id);
+    if (blockedIds.delete(id)) {
+      for (const [uri, uriId] of blockedUris) if (uriId === id) blockedUris.delete(uri);
+      scheduleCacheSave();
+    }
+    if (snapshot[id]) {
+      logChanges([{ at: new Date().toISOString(), id, kind: "removed", name: snapshot[id].name }]);
+      delete snapshot[id];
+      scheduleSnapshotSave();
+    }
+    if (!user) return;
+    usersById.delete(id);
+    const list = usersByName.get(normName(user.name));
+    const idx = list ? list.indexOf(user) : -1;
+    if (idx >= 0) list.splice(idx, 1);
+  }
+
+  /**
+   * Unblocks an account whose temporary block ended and drops its expiry.
+   *
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  async function unblockExpired(id) {
+    await setSubsiteIgnored(id, false);
+    saveExpiry(id, null);
+    forgetUser(id);
+    scheduleLinkify();
+    postToTabs({ type: "expiry-done", id, unblocked: true });
+  }
+
+  /**
+   * Claims an ended block for this tab, unless another tab holds a fresh claim.
+   *
+   * @param {number} id
+   * @returns {boolean}
+   */
+  function claimExpiry(id) {
+    const claims = readStore(EXPIRY_CLAIMS_KEY, {});
+    const claim = claims[id];
+    if (claim && claim.tab !== TAB_ID && Date.now() - claim.at < EXPIRY_CLAIM_MS) return false;
+    claims[id] = { tab: TAB_ID, at: Date.now() };
+    writeStore(EXPIRY_CLAIMS_KEY, claims);
+    return true;
+  }
+
+  /**
+   * Drops this tab's claim on an ended block.
+   *
+   * @param {number} id
+   * @returns {void}
+   */
+  function releaseExpiry(id) {
+    const claims = readStore(EXPIRY_CLAIMS_KEY, {});
+    if (claims[id]?.tab !== TAB_ID) return;
+    delete claims[id];
+    writeStore(EXPIRY_CLAIMS_KEY, claims);
+  }
+
+  /**
+   * Runs `task` for an ended block while holding both the in-tab and the cross-tab
+   * claim. Two tabs may claim at the same moment; the claim is read back after a
+   * short wait, so only the tab that wrote last goes ahead. The expiry is re-read
+   * as well: another tab may have handled it since this one loaded it.
+   *
+   * @param {number} id
+   * @param {() => Promise<void>} task
+   * @returns {Promise<boolean>} False when the block was left to another check or tab.
+   */
+  async function withExpiryClaim(id, task) {
+    if (expiryInFlight.has(id) || !claimExpiry(id)) return false;
+    expiryInFlight.add(id);
+    try {
+      await new Promise((r) => setTimeout(r, 50));
+      if (readStore(EXPIRY_CLAIMS_KEY, {})[id]?.tab !== TAB_ID || !loadExpiries()[id]) return false;
+      await task();
+      return true;
+    } finally {
+      expiryInFlight.delete(id);
+      releaseExpiry(id);
+    }
+  }
+
+  /**
+   * Posts a message to the other dtf.ru tabs running the script.
+   *
+   * @param {object} message
+   * @returns {void}
+   */
+  function postToTabs(message) {
+    try {
+      channel?.postMessage({ ...message, tab: TAB_ID });
+    } catch {}
+  }
+
+  /**
+   * Handles messages from other dtf.ru tabs: an ended block dealt with elsewhere
+   * closes its reminder here, and an account unblocked elsewhere is forgotten.
+   *
+   * @param {MessageEvent} e
+   * @returns {void}
+   */
+  function onTabMessage(e) {
+    const msg = e.data;
+    if (!msg || msg.tab === TAB_ID || msg.type !== "expiry-done") return;
+    const id = Number(msg.id);
+    document.querySelectorAll('.dtf-blocked-toast[data-expiry-id="' + id + '"]').forEach((t) => t.remove());
+    shownReminders.delete(id);
+    if (msg.unblocked) forgetUser(id);
+    scheduleLinkify();
+  }
+
+  /**
+   * Opens the cross-tab channel.
+   * @returns {void}
+   */
+  function startTabSync() {
+    if (channel || typeof BroadcastChannel !== "function") return;
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.addEventListener("message", onTabMessage);
+  }
+
+  let expiryCheckTimer = 0;
+
+  /**
+   * Coalesces expiry checks triggered by API traffic.
+   * @returns {void}
+   */
+  function scheduleExpiryCheck() {
+    if (expiryCheckTimer) return;
+    expiryCheckTimer = setTimeout(() => {
+      expiryCheckTimer = 0;
+      checkExpiries();
+    }, 1000);
+  }
+
+  /**
+   * Handles temporary blocks whose time is up: unblocks "auto" entries (once the site
+   * API has been seen on the page) and shows a reminder for "remind" entries.
+   * Entries for accounts missing from a list verified complete (see `fullLoad`) are
+   * dropped; a partial or failed load never drops anything.
+   *
+   * @returns {Promise<void>}
+   */
+  async function checkExpiries() {
+    const expiries = loadExpiries();
+    for (const [key, expiry] of Object.entries(expiries)) {
+      const id = Number(key);
+      if (fullLoad.status === "done" && !usersById.has(id)) {
+        saveExpiry(id, null);
+        continue;
+      }
+      if (expiry.until > Date.now()) continue;
+
+      if (expiry.mode === "auto" && (listRequest || apiContext)) {
+        try {
+          if (await withExpiryClaim(id, () => unblockExpired(id))) {
+            showToast("Temporary block of " + expiry.name + " ended: unblocked.", []);
+          }
+        } catch (e) {
+          // Retry rate limits on the next check; anything else needs the user.
+          if (e?.status !== 429 && !shownReminders.has(id)) {
+            shownReminders.add(id);
+            showExpiryReminder(id, expiry);
+          }
+        }
+      } else if (expiry.mode === "remind" && !shownReminders.has(id)) {
+        shownReminders.add(id);
+        showExpiryReminder(id, expiry);
+      }
+    }
+    if (location.pathname.startsWith("/settings/feeds")) scheduleLinkify();
+  }
+
+  /**
+   * Shows a reminder for an ended temporary block with one-click actions.
+   *
+   * @param {number} id
+   * @param {BlockExpiry} expiry
+   * @returns {void}
+   */
+  function showExpiryReminder(id, expiry) {
+    const link = document.createElement("a");
+    link.href = buildProfileUrl({ id, uri: expiry.uri });
+    link.textContent = expiry.name;
+    link.addEventListener("click", onProfileLinkClick);
+
+    const toast = showToast(["Temporary block of ", link, " has ended."], [
+      ["Unblock", async () => {
+        try {
+          await withExpiryClaim(id, () => unblockExpired(id));
+          // Also gone when another tab dealt with it meanwhile.
+          if (!loadExpiries()[id]) toast.remove();
+        } catch (e) {
+          showToast("Can't unblock " + expiry.name + ": " + (e?.message || e), []);
+        }
+      }],
+      ["Keep blocked", () => {
+        saveExpiry(id, null);
+        toast.remove();
+        scheduleLinkify();
+        postToTabs({ type: "expiry-done", id, unblocked: false });
+      }]
+    ]);
+    toast.dataset.expiryId = String(id);
+  }
+
+  /**
+   * Injects the toast, card and preview CSS once per page.
+   * @returns {void}
+   */
+  function ensureStyles() {
+    if (document.getElementById("dtf-blocked-style")) return;
+
+    const style = document.createElement("style");
+    style.id = "dtf-blocked-style";
+    style.textContent = `
+#dtf-blocked-toasts {
+  position: fixed;
+  right: 16px;
+  bottom: 16px;
+  z-index: 2147483646;
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+  width: 320px;
+  max-width: calc(100vw - 32px);
+}
+
+#dtf-blocked-preview {
+  position: fixed;
+  z-index: 2147483646;
+  width: 300px;
+  max-width: calc(100vw - 32px);
+  display: flex;
+  gap: 10px;
+  pointer-events: none;
+}
+
+#dtf-blocked-preview img {
+  width: 56px;
+  height: 56px;
+  border-radius: 10px;
+  object-fit: cover;
+  flex: none;
+}
+
+#dtf-blocked-preview .dtf-blocked-preview-desc {
+  margin-top: 4px;
+  font-size: 13px;
+  opacity: 0.8;
+  white-space: pre-line;
+  max-height: 8em;
+  overflow: hidden;
+}
+
+.dtf-blocked-toast,
+#dtf-blocked-preview {
+  padding: 10px 12px;
+  border-radius: 12px;
+  font-size: 14px;
+  color-scheme: light;
+  background: rgba(246, 247, 249, 0.96);
+  color: #111827;
+  border: 1px solid rgba(17, 24, 39, 0.12);
+  box-shadow: 0 10px 26px rgba(0,0,0,.18);
+}
+
+${DARK_THEME_SELECTOR} .dtf-blocked-toast,
+${DARK_THEME_SELECTOR} #dtf-blocked-preview {
+  color-scheme: dark;
+  background: rgba(24, 24, 27, 0.94);
+  color: rgba(255, 255, 255, 0.92);
+  border-color: rgba(255, 255, 255, 0.14);
+  box-shadow: 0 14px 40px rgba(0,0,0,.55), 0 0 0 1px rgba(0,0,0,.15);
+}
+
+.dtf-blocked-toast a {
+  color: inherit;
+}
+
+html:not(.dtf-blocked-show-hidden) .dtf-blocked-trace:not(.dtf-blocked-revealed) > * {
+  display: none !important;
+}
+
+.dtf-blocked-trace::before {
+  content: attr(data-dtf-trace) " is hidden. Show";
+  display: block;
+  padding: 6px 0;
+  font-size: 13px;
+  opacity: 0.6;
+  cursor: pointer;
+}
+
+.dtf-blocked-trace.dtf-blocked-revealed::before {
+  content: attr(data-dtf-trace) " is hidden. Hide";
+}
+
+html:not(.dtf-blocked-show-hidden) .dtf-blocked-mention {
+  font-size: 0 !important;
+}
+
+html:not(.dtf-blocked-show-hidden) .dtf-blocked-mention::after {
+  content: "[blocked]";
+  font-size: 13px;
+  opacity: 0.6;
+}
+
+#dtf-blocked-traces-pill {
+  position: fixed;
+  left: 16px;
+  bottom: 16px;
+  z-index: 2147483646;
+  padding: 6px 12px;
+  border-radius: 999px;
+  font-size: 13px;
+  text-decoration: none;
+  color: #111827;
+  background: rgba(246, 247, 249, 0.96);
+  border: 1px solid rgba(17, 24, 39, 0.12);
+  box-shadow: 0 10px 26px rgba(0,0,0,.18);
+}
+
+${DARK_THEME_SELECTOR} #dtf-blocked-traces-pill {
+  color: rgba(255, 255, 255, 0.92);
+  background: rgba(24, 24, 27, 0.94);
+  border-color: rgba(255, 255, 255, 0.14);
+}
+
+.dtf-blocked-card {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 6px;
+  align-items: center;
+  margin-top: 2px;
+  font-size: 12px;
+  opacity: 0.75;
+  min-width: 0;
+}
+
+.dtf-blocked-card-badge {
+  padding: 0 6px;
+  border: 1px solid currentColor;
+  border-radius: 999px;
+}
+
+.dtf-blocked-card-badge[data-status] {
+  color: #dc2626;
+}
+
+.dtf-blocked-card-desc {
+  flex: 1 1 100%;
+  min-width: 0;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+}
+
+.dtf-blocked-toast-actions {
+  display: flex;
+  gap: 8px;
+  margin-top: 8px;
+}
+`;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Shows a dismissible toast in the bottom-right corner.
+   *
+   * @param {string|(string|Node)[]} content Text, or text and nodes to append.
+   * @param {[string, () => void][]} actions Button labels and handlers.
+   * @returns {HTMLElement} The toast element.
+   */
+  function showToast(content, actions) {
+    ensureStyles();
+    let host = document.getElementById("dtf-blocked-toasts");
+    if (!host) {
+      host = document.createElement("div");
+      host.id = "dtf-blocked-toasts";
+      document.body.appendChild(host);
+    }
+
+    const toast = document.createElement("div");
+    toast.className = "dtf-blocked-toast";
+    const body = document.createElement("div");
+    body.className = "dtf-blocked-toast-text";
+    body.append(...[].concat(content));
+    const row = document.createElement("div");
+    row.className = "dtf-blocked-toast-actions";
+    for (const [label, onClick] of actions) row.appendChild(makeButton(label, onClick));
+    row.appendChild(makeButton("Dismiss", () => toast.remove()));
+    toast.append(body, row);
+    host.appendChild(toast);
+    return toast;
+  }
+
+  /**
+   * Builds the inline editor that makes a block temporary.
+   *
+   * @param {BlockedUser} user
+   * @param {BlockExpiry|null} expiry Current expiry, if any.
+   * @returns {HTMLFormElement}
+   */
+  function buildExpiryEditor(user, expiry) {
+    const field = "padding:3px 6px;border:1px solid currentColor;border-radius:6px;" +
+      "background:transparent;color:inherit;font:inherit";
+    const form = document.createElement("form");
+    form.style.cssText = "display:flex;flex-wrap:wrap;gap:6px;align-items:center";
+
+    const days = document.createElement("input");
+    days.type = "number";
+    days.min = "0.1";
+    days.step = "any";
+    days.value = expiry ? String(Math.max(0.1, Math.round((expiry.until - Date.now()) / 864e5 * 10) / 10)) : "3";
+    days.style.cssText = field + ";width:64px";
+
+    const mode = document.createElement("select");
+    mode.add(new Option("then unblock automatically", "auto"));
+    mode.add(new Option("then remind me", "remind"));
+    mode.value = expiry?.mode || "auto";
+    mode.style.cssText = field;
+
+    const save = makeButton("Set", () => {});
+    save.type = "submit";
+    form.append("Block for", days, "days,", mode, save);
+    if (expiry) {
+      form.append(makeButton("Make permanent", () => {
+        saveExpiry(user.id, null);
+        editingExpiryId = null;
+        scheduleLinkify();
+      }));
+    }
+    form.append(makeButton("Cancel", () => {
+      editingExpiryId = null;
+      scheduleLinkify();
+    }));
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const n = Number(days.value);
+      if (!(n > 0)) return;
+      saveExpiry(user.id, {
+        until: Date.now() + n * 864e5,
+        mode: mode.value === "remind" ? "remind" : "auto",
+        name: user.name,
+        uri: user.uri
+      });
+      editingExpiryId = null;
+      scheduleLinkify();
+    });
+    return form;
+  }
+
+  /**
+   * How the site itself blocks or unblocks someone, learned from one of its own
+   * requests. "{id}" in `url` or in a field value stands for the account id.
+   *
+   * @typedef {Object} IgnoreCall
+   * @property {string} url Absolute URL.
+   * @property {string} method Uppercase HTTP method.
+   * @property {"form"|"urlencoded"|"json"|"none"} bodyKind
+   * @property {[string, string][]} fields Form or urlencoded fields.
+   * @property {Record<string, any>|null} json JSON body.
+   */
+
+  /**
+   * Reads the learned ignore calls.
+   * @returns {{ block?: IgnoreCall, unblock?: IgnoreCall }}
+   */
+  function loadIgnoreCalls() {
+    const calls = readStore(IGNORE_API_KEY, null);
+    return calls && typeof calls === "object" ? calls : {};
+  }
+
+  /**
+   * Splits a request body the site sent into fields the script can replay.
+   *
+   * @param {any} body
+   * @returns {{ bodyKind: IgnoreCall["bodyKind"], fields: [string, string][], json: Record<string, any>|null }|null}
+   *   Null for bodies that can't be replayed (blobs, streams).
+   */
+  function readRequestBody(body) {
+    if (body == null || body === "") return { bodyKind: "none", fields: [], json: null };
+    if (body instanceof FormData) {
+      const fields = [];
+      for (const [name, value] of body.entries()) {
+        if (typeof value !== "string") return null;
+        fields.push([name, value]);
+      }
+      return { bodyKind: "form", fields, json: null };
+    }
+    if (body instanceof URLSearchParams) return { bodyKind: "urlencoded", fields: Array.from(body.entries()), json: null };
+    if (typeof body !== "string") return null;
+    try {
+      const json = JSON.parse(body);
+      if (json && typeof json === "object" && !Array.isArray(json)) return { bodyKind: "json", fields: [], json };
+    } catch {}
+    return { bodyKind: "urlencoded", fields: Array.from(new URLSearchParams(body).entries()), json: null };
+  }
+
+  /**
+   * Turns an observed block/unblock request into a reusable call, with the account id
+   * (from a body field, a query parameter or the last numeric path segment) replaced
+   * by "{id}".
+   *
+   * @param {ObservedResponse} res
+   * @returns {{ call: IgnoreCall, id: number }|null} Null when no account id is found.
+   */
+  function toIgnoreCall(res) {
+    const body = readRequestBody(res.body);
+    if (!body) return null;
+    const url = new URL(res.url);
+    let id = null;
+
+    const pair = body.fields.find(([name, value]) => ID_FIELD_RE.test(name) && /^\d+$/.test(value));
+    const jsonKey = body.json && Object.keys(body.json).find((k) => ID_FIELD_RE.test(k) && /^\d+$/.test(String(body.json[k])));
+    const param = Array.from(url.searchParams.entries()).find(([name, value]) => ID_FIELD_RE.test(name) && /^\d+$/.test(value));
+    if (pair) {
+      id = Number(pair[1]);
+      pair[1] = "{id}";
+    } else if (jsonKey) {
+      id = Number(body.json[jsonKey]);
+      body.json[jsonKey] = "{id}";
+    } else if (param) {
+      id = Number(param[1]);
+      url.searchParams.set(param[0], "{id}");
+    } else {
+      const m = /\/(\d+)(?=\/|$)(?!.*\/\d+(?:\/|$))/.exec(url.pathname);
+      if (!m) return null;
+      id = Number(m[1]);
+      url.pathname = url.pathname.slice(0, m.index) + "/{id}" + url.pathname.slice(m.index + m[0].length);
+    }
+
+    return { call: { url: url.href.replace(/%7Bid%7D/gi, "{id}"), method: res.method, ...body }, id };
+  }
+
+  /**
+   * Learns how the site blocks and unblocks from its own successful requests to the
+   * blocked-list endpoints, so the script never has to guess the endpoint. Only
+   * requests whose URL or method tells which of the two they are get learned: DELETE
+   * or a "remove"-like path unblocks, an "add"-like path or a POST/PUT to the list
+   * (or to one account in it) blocks.
+   *
+   * @param {ObservedResponse} res
+   * @returns {void}
+   */
+  function learnIgnoreCall(res) {
+    if (res.method === "GET" || res.status < 200 || res.status >= 300) return;
+    const path = new URL(res.url).pathname;
+    if (!API_BASE_RE.test(res.url) || !API_RE.test(path)) return;
+
+    const tail = path.replace(/^.*?ignores\/subsites\/?/i, "");
+    let kind = null;
+    if (res.method === "DELETE" || /remove|delete|unignore|unblock|cancel/i.test(tail)) kind = "unblock";
+    else if (/add|create|ignore|block/i.test(tail)) kind = "block";
+    else if ((res.method === "POST" || res.method === "PUT") && /^(?:\d+\/?)?$/.test(tail)) kind = "block";
+    if (!kind) return;
+
+    const learned = toIgnoreCall(res);
+    if (!learned) return;
+    const calls = loadIgnoreCalls();
+    calls[kind] = learned.call;
+    writeStore(IGNORE_API_KEY, calls);
+  }
+
+  /**
+   * Blocks or unblocks an account the way the site itself last did it (see
+   * `learnIgnoreCall()`), with the auth headers of the captured blocked-list request
+   * or of any other site API request when the list hasn't been opened.
+   *
+   * @param {number} id Subsite id.
+   * @param {boolean} ignored True to block, false to unblock.
+   * @returns {Promise<void>} Rejects with an Error carrying `status` on HTTP failure.
+   */
+  async function setSubsiteIgnored(id, ignored) {
+    const call = loadIgnoreCalls()[ignored ? "block" : "unblock"];
+    if (!call) {
+      throw new Error(ignored
+        ? "block someone once with the site's own button first, so the script can see how it's done"
+        : "unblock someone once with the site's own button first, so the script can see how it's done");
+    }
+    const ctx = listRequest || apiContext;
+    if (!ctx) throw new Error("the site API hasn't been used on this page yet");
+
+    const value = String(id);
+    const headers = new Headers(ctx.headers);
+    headers.delete("content-type");
+    /** @type {BodyInit|undefined} */
+    let body;
+    if (call.bodyKind === "json") {
+      const json = {};
+      for (const [k, v] of Object.entries(call.json || {})) json[k] = v === "{id}" ? id : v;
+      body = JSON.stringify(json);
+      headers.set("content-type", "application/json");
+    } else if (call.bodyKind !== "none") {
+      const fields = call.fields.map(([k, v]) => [k, v === "{id}" ? value : v]);
+      if (call.bodyKind === "form") {
+        body = new FormData();
+        for (const [k, v] of fields) body.append(k, v);
+      } else {
+        body = new URLSearchParams(fields);
+      }
+    }
+
+    const resp = await nativeFetch.call(window, call.url.replace("{id}", value), {
+      method: call.method,
+      headers,
+      body,
+      credentials: "include"
+    });
+    if (!resp.ok) {
+      const err = new Error("HTTP " + resp.status);
+      err.status = resp.status;
+      throw err;
+    }
+  }
+
+  /**
+   * Calls the ignore API, waiting and retrying when the API rate-limits.
+   *
+   * @param {number} id
+   * @param {boolean} ignored
+   * @param {(text: string) => void} report Progress reporter for the waits.
+   * @returns {Promise<void>} Rejects when the call fails for another reason.
+   */
+  async function setIgnoredWithBackoff(id, ignored, report) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await setSubsiteIgnored(id, ignored);
+        return;
+      } catch (e) {
+        if (e?.status !== 429 || attempt >= 3) throw e;
+        report("Rate limited, waiting before retrying…");
+        await new Promise((r) => setTimeout(r, RATE_LIMIT_BACKOFF_MS));
+      }
+    }
+  }
+
+  /**
+   * Returns captured accounts in the order they were received.
+   * @returns {BlockedUser[]}
+   */
+  function listUsers() {
+    return Array.from(usersById.values());
+  }
+
+  /**
+   * Serializes a value as a CSV field, quoting it when needed.
+   * @param {*} v
+   * @returns {string}
+   */
+  function csvField(v) {
+    const s = v == null ? "" : String(v);
+    return /[",\r\n]/.test(s) ? "\"" + s.replace(/"/g, "\"\"") + "\"" : s;
+  }
+
+  /**
+   * Parses CSV text into rows of fields (RFC 4180 quoting).
+   * @param {string} text
+   * @returns {string[][]}
+   */
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === "\"" && text[i + 1] === "\"") {
+          field += "\"";
+          i++;
+        } else if (c === "\"") {
+          quoted = false;
+        } else {
+          field += c;
+        }
+      } else if (c === "\"") {
+        quoted = true;
+      } else if (c === ",") {
+        row.push(field);
+        field = "";
+      } else if (c === "\n" || c === "\r") {
+        if (c === "\r" && text[i + 1] === "\n") i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += c;
+      }
+    }
+    if (field !== "" || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter((r) => r.some((f) => f !== ""));
+  }
+
+  /**
+   * Serializes the captured blocklist.
+   *
+   * @param {"json"|"csv"} format
+   * @returns {string}
+   */
+  function serializeBlocklist(format) {
+    const users = listUsers();
+    if (format === "csv") {
+      const lines = [CSV_COLUMNS.join(",")];
+      for (const u of users) lines.push([u.id, u.uri, u.name, u.avatar, u.capturedAt].map(csvField).join(","));
+      return lines.join("\r\n") + "\r\n";
+    }
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      users: users.map((u) => ({ id: u.id, uri: u.uri, name: u.name, avatar: u.avatar, capturedAt: u.capturedAt }))
+    }, null, 2);
+  }
+
+  /**
+   * Parses an exported blocklist (JSON or CSV) into account records.
+   *
+   * @param {string} text File contents.
+   * @returns {BlockedUser[]}
+   * @throws {Error} When the file isn't a recognizable export.
+   */
+  function parseBlocklist(text) {
+    let records;
+    const trimmed = text.trim();
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+      const json = JSON.parse(trimmed);
+      records = Array.isArray(json) ? json : json?.users;
+    } else {
+      const [header, ...rows] = parseCsv(trimmed);
+      const cols = (header || []).map((h) => h.trim().toLowerCase());
+      if (!cols.includes("id")) throw new Error("CSV has no id column");
+      records = rows.map((r) => Object.fromEntries(cols.map((c, i) => [c, r[i]])));
+    }
+    if (!Array.isArray(records)) throw new Error("No accounts found in the file");
+
+    const seen = new Set();
+    const users = [];
+    for (const r of records) {
+      const id = Number(r?.id);
+      if (!Number.isInteger(id) || id <= 0 || seen.has(id)) continue;
+      seen.add(id);
+      const uri = r.uri || null;
+      users.push({
+        id,
+        uri,
+        name: r.name || "id" + id,
+        avatar: r.avatar || null,
+        url: buildProfileUrl({ id, uri }),
+        capturedAt: r.capturedAt || r.captured_at || ""
+      });
+    }
+    return users;
+  }
+
+  /**
+   * Saves text as a file via a temporary object URL.
+   *
+   * @param {string} text
+   * @param {string} filename
+   * @param {string} type MIME type.
+   * @returns {void}
+   */
+  function downloadText(text, filename, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.style.display = "none";
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Exports the captured blocklist as a file.
+   * @param {"json"|"csv"} format
+   * @returns {void}
+   */
+  function exportBlocklist(format) {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadText(
+      serializeBlocklist(format),
+      "dtf-blocklist-" + date + "." + format,
+      format === "csv" ? "text/csv" : "application/json"
+    );
+  }
+
+  /**
+   * Opens the import panel with a diff between a file and the captured list.
+   * @param {BlockedUser[]} incoming
+   * @returns {void}
+   */
+  function openImport(incoming) {
+    const ids = new Set(incoming.map((u) => u.id));
+    importState = {
+      incoming,
+      missing: incoming.filter((u) => !usersById.has(u.id)),
+      extra: listUsers().filter((u) => !ids.has(u.id)).length,
+      running: false,
+      stop: false,
+      log: "",
+      wouldBlock: [],
+      failures: []
+    };
+    renderImportPanel();
+  }
+
+  /**
+   * Lets the user pick an exported file and opens the import diff for it.
+   * @returns {void}
+   */
+  function pickImportFile() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,.csv,application/json,text/csv";
+    input.addEventListener("change", async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+      try {
+        openImport(parseBlocklist(await file.text()));
+      } catch (e) {
+        showToast("Can't read the blocklist: " + (e?.message || e), []);
+      }
+    });
+    input.click();
+  }
+
+  /**
+   * Blocks the accounts missing from the current list one by one, pausing between
+   * calls and backing off when the API rate-limits. In dry-run mode only logs.
+   *
+   * @param {boolean} dryRun
+   * @returns {Promise<void>}
+   */
+  async function runImport(dryRun) {
+    const state = importState;
+    if (!state || state.running) return;
+    state.running = true;
+    state.stop = false;
+    state.wouldBlock = [];
+    state.failures = [];
+
+    const queue = state.missing.slice();
+    let done = 0;
+    let failed = 0;
+    const report = (text) => {
+      state.log = text;
+      renderImportPanel();
+    };
+
+    for (const u of queue) {
+      if (state.stop || importState !== state) break;
+      report((dryRun ? "Dry run " : "Blocking ") + (done + failed + 1) + "/" + queue.length + ": " + u.name);
+
+      if (!dryRun) {
+        try {
+          await setIgnoredWithBackoff(u.id, true, report);
+          rememberUser({ id: u.id, uri: u.uri, name: u.name, avatar: u.avatar });
+          if (!getNote(u.id)) saveNote(u.id, { note: "", tags: [], blockedAt: new Date().toISOString().slice(0, 10) });
+          state.missing = state.missing.filter((m) => m !== u);
+          done++;
+        } catch (e) {
+          state.failures.push({ user: u, error: e?.message || String(e) });
+          failed++;
+        }
+        await new Promise((r) => setTimeout(r, IMPORT_DELAY_MS));
+      } else {
+        state.wouldBlock.push(u);
+        done++;
+      }
+    }
+
+    state.running = false;
+    const unknownCall = dryRun && done && !loadIgnoreCalls().block;
+    report(
+      (dryRun ? "Dry run: " + done + " would be blocked" : "Blocked " + done) +
+      (failed ? ", " + failed + " failed" : "") +
+      (state.stop ? " (stopped)" : "") + "." +
+      (unknownCall ? " Block someone once with the site's own button before the real run." : "")
+    );
+  }
+
+  /**
+   * Unblocks the selected accounts one by one with progress. Each account is forgotten
+   * (with its temporary block) as soon as it's unblocked. Failed calls are retried in
+   * up to `BULK_RETRIES` extra passes; afterwards a summary is shown with an undo that
+   * re-blocks everything for `UNDO_WINDOW_MS`. The undo is only offered once the site's
+   * block call has been learned, and the confirmation warns when it hasn't.
+   *
+   * @param {BlockedUser[]|null} [retry] Accounts of a previous run to try again, without
+   *   asking; null unblocks the selection after a confirmation.
+   * @returns {Promise<void>}
+   */
+  async function runBulkUnblock(retry = null) {
+    if (bulkState?.running) return;
+    let queue = retry || Array.from(selectedIds, (id) => usersById.get(id)).filter((u) => u && !unblockedIds.has(u.id));
+    if (!queue.length) return;
+    const question = "Unblock " + queue.length + " account" + (queue.length === 1 ? "" : "s") + "?" +
+      (loadIgnoreCalls().block ? "" : "\n\nThis can't be undone from here: the script re-blocks the way the site " +
+        "does, and hasn't seen the site block anyone yet.");
+    if (!retry && !confirm(question)) return;
+
+    const state = {
+      running: true, stop: false, log: "", done: [], failed: [], error: "", positions: new Map(), undoUntil: 0
+    };
+    bulkState = state;
+    const total = queue.length;
+    const report = (text) => {
+      state.log = text;
+      renderBulkBar();
+    };
+
+    for (let pass = 0; pass <= BULK_RETRIES && queue.length && !state.stop; pass++) {
+      const failed = [];
+      for (const u of queue) {
+        if (state.stop) {
+          failed.push(u);
+          continue;
+        }
+        report((pass ? "Retrying " : "Unblocking ") + (state.done.length + 1) + "/" + total + ": " + u.name);
+        try {
+          await setIgnoredWithBackoff(u.id, false, report);
+          unblockedIds.add(u.id);
+          selectedIds.delete(u.id);
+          state.positions.set(u.id, usersByName.get(normName(u.name))?.indexOf(u) ?? -1);
+          saveExpiry(u.id, null);
+          forgetUser(u.id);
+          state.done.push(u);
+        } catch (e) {
+          state.error = e?.message || String(e);
+          failed.push(u);
+        }
+        scheduleLinkify();
+        await new Promise((r) => setTimeout(r, IMPORT_DELAY_MS));
+      }
+      queue = failed;
+    }
+
+    state.failed = queue;
+    state.running = false;
+    const canUndo = !!loadIgnoreCalls().block;
+    state.undoUntil = state.done.length && canUndo ? Date.now() + UNDO_WINDOW_MS : 0;
+    report("Unblocked " + state.done.length + " of " + total +
+      (state.failed.length ? "; failed: " + state.failed.map((u) => u.name).join(", ") + " (" + state.error + ")" : "") +
+      (state.stop ? " (stopped)" : "") + "." +
+      (state.done.length && !canUndo ? " No undo: block someone once with the site's own button to enable it." : ""));
+    if (state.undoUntil) tickUndo(state);
+  }
+
+  /**
+   * Counts down the undo window.
+   *
+   * @param {NonNullable<typeof bulkState>} state
+   * @returns {void}
+   */
+  function tickUndo(state) {
+    if (bulkState !== state || !state.undoUntil) return;
+    if (Date.now() >= state.undoUntil) state.undoUntil = 0;
+    renderBulkBar();
+    if (state.undoUntil) setTimeout(() => tickUndo(state), 1000);
+  }
+
+  /**
+   * Re-blocks every account of the last bulk unblock, as if blocked anew: they're
+   * captured again, but temporary blocks they had stay cleared. Goes in reverse, so
+   * each account can be put back at the place among its namesakes it was unblocked from.
+   * @returns {Promise<void>}
+   */
+  async function undoBulkUnblock() {
+    const state = bulkState;
+    if (!state?.undoUntil || state.running) return;
+    state.undoUntil = 0;
+    state.running = true;
+
+    const restored = [];
+    const failed = [];
+    for (const u of state.done.slice().reverse()) {
+      state.log = "Re-blocking " + (restored.length + failed.length + 1) + "/" + state.done.length + ": " + u.name;
+      renderBulkBar();
+      try {
+        await setIgnoredWithBackoff(u.id, true, (text) => {
+          state.log = text;
+          renderBulkBar();
+        });
+        unblockedIds.delete(u.id);
+        rememberUser({ id: u.id, uri: u.uri, name: u.name, avatar: u.avatar });
+        // Matching the n-th row to the n-th namesake relies on the API order.
+        const namesakes = usersByName.get(normName(u.name));
+        const at = state.positions.get(u.id) ?? -1;
+        if (namesakes && at >= 0 && at < namesakes.length - 1) namesakes.splice(at, 0, namesakes.pop());
+        restored.push(u);
+      } catch (e) {
+        state.error = e?.message || String(e);
+        failed.push(u);
+      }
+      scheduleLinkify();
+      await new Promise((r) => setTimeout(r, IMPORT_DELAY_MS));
+    }
+
+    state.running = false;
+    state.done = [];
+    state.log = "Undone: re-blocked " + restored.length +
+      (failed.length ? "; couldn't re-block: " + failed.map((u) => u.name).join(", ") + " (" + state.error + ")" : "") + ".";
+    renderBulkBar();
+  }
+
   /**
-   * Map of normalized displayed user names -> absolute profile URLs.
-   * Populated from the API response and used to linkify DOM entries.
-   * @type {Map<string, string>}
+   * Renders the selection controls, bulk unblock progress and summary row below the
+   * toolbar. Re-renders only when the content changed.
+   * @returns {void}
    */
-  const urlByName = new Map();
+  function renderBulkBar() {
+    const bar = document.getElementById("dtf-blocked-toolbar");
+    if (!bar) return;
+    let row = document.getElementById("dtf-blocked-bulk");
+    if (!row) {
+      row = document.createElement("div");
+      row.id = "dtf-blocked-bulk";
+      row.style.cssText = "display:flex;flex-wrap:wrap;gap:8px;align-items:center;margin:-4px 0 12px;font-size:13px";
+      bar.after(row);
+    }
+
+    for (const id of selectedIds) if (!usersById.has(id) || unblockedIds.has(id)) selectedIds.delete(id);
+    const state = bulkState;
+    const undoLeft = state?.undoUntil ? Math.max(0, Math.ceil((state.undoUntil - Date.now()) / 1000)) : 0;
+    const key = [selectedIds.size, visibleIds.length, state?.running, state?.log, undoLeft, state?.failed.length].join("|");
+    if (row.dataset.key === key) return;
+    row.dataset.key = key;
+    row.textContent = "";
+
+    const link = (label, onClick) => {
+      const a = document.createElement("a");
+      a.href = "#";
+      a.textContent = label;
+      a.style.color = "inherit";
+      a.addEventListener("click", (e) => {
+        e.preventDefault();
+        onClick();
+      });
+      return a;
+    };
+    const select = (ids) => {
+      for (const id of ids) if (!unblockedIds.has(id)) selectedIds.add(id);
+      scheduleLinkify();
+    };
+
+    const selection = document.createElement("span");
+    selection.style.opacity = "0.8";
+    selection.append(
+      "Select: ",
+      link("all", () => select(usersById.keys())), " · ",
+      link("shown (" + visibleIds.length + ")", () => select(visibleIds)), " · ",
+      link("none", () => {
+        selectedIds.clear();
+        scheduleLinkify();
+      })
+    );
+    row.appendChild(selection);
+
+    if (state?.running) {
+      row.append(makeButton("Stop", () => {
+        state.stop = true;
+      }));
+    } else if (selectedIds.size) {
+      row.append(makeButton("Unblock " + selectedIds.size + " selected", () => runBulkUnblock()));
+    }
+    if (!state?.running && state?.failed.length) {
+      row.append(makeButton("Retry failed", () => {
+        const failed = state.failed;
+        state.failed = [];
+        runBulkUnblock(failed);
+      }));
+    }
+    if (undoLeft) row.append(makeButton("Undo (" + undoLeft + "s)", undoBulkUnblock));
+    if (state?.log) {
+      const log = document.createElement("span");
+      log.textContent = state.log;
+      row.append(log);
+    }
+  }
 
   /**
-   * Normalizes user-displayed names for stable map lookups.
-   * Collapses whitespace, trims, and lowercases.
+   * Ensures a row has a selection checkbox in sync with `selectedIds`, and dims rows
+   * of accounts unblocked in bulk.
    *
-   * @param {string|null|undefined} s
-   * @returns {string}
+   * @param {HTMLElement} item Row element.
+   * @param {BlockedUser|null} user Matched account; null removes the checkbox.
+   * @returns {void}
    */
-  const normName = (s) => (s ?? "").toString().trim().replace(/\s+/g, " ").toLowerCase();
+  function renderRowSelect(item, user) {
+    let box = item.querySelector("input.dtf-blocked-select");
+    // Accounts unblocked in bulk are forgotten, so the row is known by its last match.
+    const unblocked = unblockedIds.has(Number(item.dataset.dtfUserId));
+    const opacity = unblocked ? "0.45" : "";
+    if (item.style.opacity !== opacity) item.style.opacity = opacity;
+    if (!user || unblocked) {
+      box?.remove();
+      return;
+    }
+
+    if (!box) {
+      box = document.createElement("input");
+      box.type = "checkbox";
+      box.className = "dtf-blocked-select";
+      box.title = "Select for bulk actions";
+      box.style.cssText = "margin:0 8px 0 0;flex:none;cursor:pointer";
+      box.addEventListener("change", () => {
+        const id = Number(item.dataset.dtfUserId);
+        if (!id) return;
+        if (box.checked) selectedIds.add(id);
+        else selectedIds.delete(id);
+        renderBulkBar();
+      });
+      item.prepend(box);
+    }
+    const checked = selectedIds.has(user.id);
+    if (box.checked !== checked) box.checked = checked;
+  }
 
   /**
-   * Builds an absolute DTF profile URL from a user-like object returned by the API.
-   * Prefers `uri` when present (e.g. "/nickname"), otherwise falls back to "id<ID>".
+   * Creates a small toolbar button styled after the site's text buttons.
    *
-   * @param {{ uri?: string, id?: number }} u
-   * @returns {string|null} Absolute profile URL or null if it cannot be derived.
+   * @param {string} label
+   * @param {() => void} onClick
+   * @returns {HTMLButtonElement}
    */
-  function buildProfileUrl(u) {
-    return (u?.uri && u.uri !== "")
-      ? ("https://dtf.ru" + u.uri)
-      : (u?.id != null ? ("https://dtf.ru/id" + u.id) : null);
+  function makeButton(label, onClick) {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.textContent = label;
+    b.style.cssText = "padding:4px 10px;border:1px solid currentColor;border-radius:8px;" +
+      "background:transparent;color:inherit;font:inherit;font-size:13px;cursor:pointer;opacity:0.8";
+    b.addEventListener("click", onClick);
+    return b;
   }
 
   /**
-   * Installs a fetch hook that listens for the blocked-users API call and forwards
-   * its parsed JSON response to `callback`.
-   *
-   * Notes:
-   * - Does NOT initiate a request; it only observes the site's own request.
-   * - Uses Response.clone() to avoid consuming the body for the original code.
-   *
-   * @param {(json: any) => void} callback Function invoked with the parsed JSON response.
-   * @returns {void}
+   * Ensures the export/import toolbar sits above the blocked list.
+   * @returns {HTMLElement|null}
    */
-  function onBlockedUsersResponse(callback) {
-    const API_RE = /\/(?:v\d+(?:\.\d+)*\/)?ignores\/subsites(?:[/?#]|$)/i;
+  function ensureToolbar() {
+    const list = document.querySelector("div.feeds-settings-blocked__item")?.parentElement ||
+      document.querySelector(".feeds-settings-blocked");
+    if (!list) return null;
 
-    const origFetch = window.fetch;
-    window.fetch = async function(input, init) {
-      const resp = await origFetch.apply(this, arguments);
-      try {
-        const url = typeof input === "string" ? input : input?.url;
-        if (url && API_RE.test(String(url))) {
-          resp.clone().json().then(callback).catch(() => {});
-        }
-      } catch {}
-      return resp;
-    };
+    let bar = document.getElementById("dtf-blocked-toolbar");
+    if (bar && bar.parentElement === list.parentElement) return bar;
+    bar?.remove();
+    document.getElementById("dtf-blocked-import")?.remove();
+    document.getElementById("dtf-blocked-changelog")?.remove();
+    document.getElementById("dtf-blocked-bulk")?.remove();
+
+    bar = document.createElement("div");
+    bar.id = "dtf-blocked-toolbar";
+    bar.style.cssText = "display:flex;flex-wrap:wrap;gap:8px;align-items:center;margin:0 0 12px";
+    const search = document.createElement("input");
+    search.type = "search";
+    search.placeholder = "Search by name or address";
+    search.value = listView.query;
+    search.style.cssText = "flex:1 1 200px;min-width:0;padding:4px 10px;border:1px solid currentColor;" +
+      "border-radius:8px;background:transparent;color:inherit;font:inherit;font-size:13px";
+    search.addEventListener("input", () => {
+      listView.query = search.value;
+      scheduleLinkify();
+    });
+
+    const sort = document.createElement("select");
+    sort.title = "Sort";
+    sort.style.cssText = "padding:4px 6px;border:1px solid currentColor;border-radius:8px;" +
+      "background:transparent;color:inherit;font:inherit;font-size:13px";
+    for (const [value, label] of Object.entries(SORT_LABELS)) sort.add(new Option(label, value));
+    sort.value = listView.sort;
+    sort.addEventListener("change", () => {
+      listView.sort = /** @type {any} */ (sort.value);
+      scheduleLinkify();
+    });
+
+    const tags = document.createElement("select");
+    tags.className = "dtf-blocked-tags";
+    tags.title = "Filter by tag";
+    tags.style.cssText = sort.style.cssText;
+    tags.addEventListener("change", () => setTagFilter(tags.value));
+
+    const counter = document.createElement("span");
+    counter.className = "dtf-blocked-counter";
+    counter.style.cssText = "font-size:13px;opacity:0.7";
+
+    const traces = document.createElement("label");
+    traces.title = "Collapse comments, replies and mentions from blocked accounts everywhere on the site";
+    traces.style.cssText = "display:flex;gap:4px;align-items:center;font-size:13px;opacity:0.8;cursor:pointer";
+    const tracesBox = document.createElement("input");
+    tracesBox.type = "checkbox";
+    tracesBox.checked = hideTraces;
+    tracesBox.addEventListener("change", () => setHideTraces(tracesBox.checked));
+    traces.append(tracesBox, "Hide their traces site-wide");
+
+    bar.append(
+      search,
+      sort,
+      tags,
+      counter,
+      makeButton("Export JSON", () => exportBlocklist("json")),
+      makeButton("Export CSV", () => exportBlocklist("csv")),
+      makeButton("Import…", pickImportFile),
+      makeButton("Changes", () => {
+        changelogOpen = !changelogOpen;
+        if (changelogOpen) flushChangelog();
+        renderChangelogPanel();
+      }),
+      traces,
+      makeButton("API log", showObservedEndpoints)
+    );
+    list.before(bar);
+    renderBulkBar();
+    refreshTagFilter();
+    renderImportPanel();
+    renderChangelogPanel();
+    return bar;
   }
 
   /**
-   * Ensures the provided name element contains a single clickable <a> pointing
-   * to `profileUrl`. The function is idempotent: safe to call repeatedly.
-   *
-   * @param {HTMLElement|null} nameEl Element containing the user's displayed name.
-   * @param {string|null} profileUrl Absolute URL of the user's profile.
+   * Renders (or removes) the changelog of renames, additions, deletions and
+   * removals detected between visits, newest first.
    * @returns {void}
    */
-  function ensureNameLink(nameEl, profileUrl) {
-    if (!nameEl || !profileUrl) return;
-    if (nameEl.dataset.dtfLinked === "1") return;
-
-    if (nameEl.querySelector("a")) {
-      nameEl.dataset.dtfLinked = "1";
+  function renderChangelogPanel() {
+    const bar = document.getElementById("dtf-blocked-toolbar");
+    let panel = document.getElementById("dtf-blocked-changelog");
+    if (!changelogOpen || !bar) {
+      panel?.remove();
       return;
     }
+    if (!panel) {
+      panel = document.createElement("div");
+      panel.id = "dtf-blocked-changelog";
+      panel.style.cssText = "margin:0 0 12px;padding:10px 12px;border:1px solid currentColor;" +
+        "border-radius:10px;font-size:13px;opacity:0.9";
+      bar.after(panel);
+    }
+    panel.textContent = "";
 
-    const a = document.createElement("a");
-    const url = new URL(profileUrl, window.location.href);
-    a.href = url.pathname + url.search + url.hash;
-    a.rel = "noopener noreferrer";
-    a.style.color = "inherit";
-    a.style.textDecoration = "none";
-    a.style.cursor = "pointer";
-    a.addEventListener("click", (e) => {
-      const navUrl = new URL(a.href, window.location.href);
-      if (navUrl.origin !== window.location.origin) return;
-      const path = navUrl.pathname + navUrl.search + navUrl.hash;
-      if (tryRouterPush(path)) {
-        e.preventDefault();
-        return;
-      }
-      if (softNavigate(path)) {
-        e.preventDefault();
-        return;
-      }
-    });
+    const log = readStore(CHANGELOG_KEY, []).slice().reverse();
+    const list = document.createElement("div");
+    list.style.cssText = "max-height:240px;overflow:auto";
+    if (!log.length) list.textContent = "No changes recorded yet.";
+    for (const entry of log) {
+      const line = document.createElement("div");
+      const a = document.createElement("a");
+      a.href = new URL(buildProfileUrl({ id: entry.id, uri: snapshot[entry.id]?.uri })).pathname;
+      a.textContent = entry.name;
+      a.style.color = "inherit";
+      a.addEventListener("click", onProfileLinkClick);
+      line.append(new Date(entry.at).toLocaleDateString() + " — ");
+      if (entry.kind === "renamed") line.append(entry.from + " renamed to ", a);
+      else if (entry.kind === "added") line.append(a, " was added to the blocklist");
+      else if (entry.kind === "deleted") line.append(a, " was deleted or became unreachable");
+      else line.append(a, " is no longer in the blocklist");
+      list.appendChild(line);
+    }
 
-    while (nameEl.firstChild) a.appendChild(nameEl.firstChild);
-    nameEl.appendChild(a);
+    const actions = document.createElement("div");
+    actions.style.cssText = "display:flex;gap:8px;margin-top:6px";
+    actions.append(
+      makeButton("Clear", () => {
+        pendingChanges = [];
+        clearTimeout(changelogSaveTimer);
+        writeStore(CHANGELOG_KEY, []);
+        renderChangelogPanel();
+      }),
+      makeButton("Close", () => {
+        changelogOpen = false;
+        renderChangelogPanel();
+      })
+    );
+    panel.append(list, actions);
+  }
 
-    nameEl.dataset.dtfLinked = "1";
+  /**
+   * Builds a comma-separated list of profile links for the import panel.
+   *
+   * @param {string} label Text before the list.
+   * @param {[BlockedUser, string][]} entries Accounts, each with text to put after its link.
+   * @returns {HTMLDivElement}
+   */
+  function buildImportList(label, entries) {
+    const list = document.createElement("div");
+    list.style.cssText = "margin:6px 0;max-height:160px;overflow:auto";
+    list.append(label);
+    entries.forEach(([u, suffix], i) => {
+      if (i > 0) list.append(", ");
+      const a = document.createElement("a");
+      a.href = new URL(u.url).pathname;
+      a.textContent = u.name;
+      a.target = "_blank";
+      a.style.color = "inherit";
+      list.append(a, suffix);
+    });
+    return list;
   }
 
   /**
-   * Tries to access Vue Router and navigate with it.
-   * @param {string} path
-   * @returns {boolean}
+   * Renders (or removes) the import diff panel below the toolbar.
+   * @returns {void}
    */
-  function tryRouterPush(path) {
-    const app = document.querySelector("#app")?.__vue_app__;
-    const routerFromGlobals = app?.config?.globalProperties?.$router;
-    if (routerFromGlobals?.push) {
-      routerFromGlobals.push(path).catch(() => {});
-      return true;
+  function renderImportPanel() {
+    const bar = document.getElementById("dtf-blocked-toolbar");
+    let panel = document.getElementById("dtf-blocked-import");
+    if (!importState || !bar) {
+      panel?.remove();
+      return;
+    }
+    if (!panel) {
+      panel = document.createElement("div");
+      panel.id = "dtf-blocked-import";
+      panel.style.cssText = "margin:0 0 12px;padding:10px 12px;border:1px solid currentColor;" +
+        "border-radius:10px;font-size:13px;opacity:0.9";
+      bar.after(panel);
     }
 
-    const provides = app?._context?.provides;
-    if (!provides) return false;
-    for (const key of Reflect.ownKeys(provides)) {
-      const candidate = provides[key];
-      if (candidate?.push && candidate?.currentRoute) {
-        candidate.push(path).catch(() => {});
-        return true;
+    const state = importState;
+    const dryRun = panel.querySelector("input[type=checkbox]")?.checked ?? true;
+    panel.textContent = "";
+
+    const summary = document.createElement("div");
+    summary.textContent = state.incoming.length + " accounts in the file: " +
+      (state.incoming.length - state.missing.length) + " already blocked, " +
+      state.missing.length + " missing. " +
+      (state.extra ? state.extra + " blocked here are not in the file. " : "") +
+      "Compared against " + usersById.size + " loaded accounts.";
+    panel.appendChild(summary);
+
+    if (state.missing.length) panel.appendChild(buildImportList("", state.missing.map((u) => [u, ""])));
+    if (state.wouldBlock.length) {
+      panel.appendChild(buildImportList("Dry run would block: ", state.wouldBlock.map((u) => [u, ""])));
+    }
+    if (state.failures.length) {
+      panel.appendChild(buildImportList("Failed: ", state.failures.map((f) => [f.user, " (" + f.error + ")"])));
+    }
+
+    const actions = document.createElement("div");
+    actions.style.cssText = "display:flex;flex-wrap:wrap;gap:8px;align-items:center;margin-top:6px";
+    const dry = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.checked = dryRun;
+    box.disabled = state.running;
+    dry.append(box, " Dry run");
+    if (state.running) {
+      actions.append(makeButton("Stop", () => { state.stop = true; }));
+    } else {
+      if (state.missing.length) {
+        actions.append(makeButton("Block " + state.missing.length + " missing", () => runImport(box.checked)));
       }
+      actions.append(makeButton("Close", () => {
+        importState = null;
+        renderImportPanel();
+      }));
     }
-    return false;
+    actions.append(dry);
+    if (state.log) {
+      const log = document.createElement("span");
+      log.textContent = state.log;
+      actions.append(log);
+    }
+    panel.appendChild(actions);
   }
 
   /**
-   * Attempts SPA navigation via a hidden data-router-link anchor.
-   * @param {string} path
-   * @returns {boolean}
+   * Compares two rows for the selected sort; rows without a matched account, and for
+   * "Date blocked" rows without a known block date, go last.
+   *
+   * @param {{ user: BlockedUser|null, name: string, index: number, blockedAt: string }} a
+   * @param {{ user: BlockedUser|null, name: string, index: number, blockedAt: string }} b
+   * @returns {number}
    */
-  function softNavigate(path) {
-    const a = document.createElement("a");
-    a.href = path;
-    a.setAttribute("data-router-link", "");
-    a.style.display = "none";
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    return true;
+  function compareRows(a, b) {
+    if (listView.sort === "name") return a.name.localeCompare(b.name) || a.index - b.index;
+    if (!a.user || !b.user) return (a.user ? 0 : 1) - (b.user ? 0 : 1) || a.index - b.index;
+    if (listView.sort === "id") return a.user.id - b.user.id;
+    if (listView.sort === "captured") return a.user.capturedAt.localeCompare(b.user.capturedAt) || a.index - b.index;
+    if (listView.sort === "blocked") {
+      if (!a.blockedAt || !b.blockedAt) return (a.blockedAt ? 0 : 1) - (b.blockedAt ? 0 : 1) || a.index - b.index;
+      return a.blockedAt.localeCompare(b.blockedAt) || a.index - b.index;
+    }
+    return a.index - b.index;
+  }
+
+  /**
+   * Applies the search filter and sort to the rendered rows and updates the counter.
+   * Rows are reordered with CSS `order` rather than moved, so the site's own
+   * rendering keeps owning the DOM. The counter, the bulk "shown" selection and the
+   * sort all work on the same set: rows that pass the filters, minus rows of accounts
+   * unblocked in bulk.
+   *
+   * @param {{ item: HTMLElement, user: BlockedUser|null, candidates: BlockedUser[], name: string, index: number,
+   *   gone: boolean }[]} rows
+   * @param {Record<string, BlockNote>} notes Stored notes, from `loadNotes()`.
+   * @returns {void}
+   */
+  function applyListView(rows, notes) {
+    const query = normName(listView.query);
+    const shown = [];
+    for (const row of rows) {
+      const owners = row.user ? [row.user] : row.candidates;
+      const entry = row.user ? notes[row.user.id] : null;
+      const haystack = [
+        row.name,
+        ...owners.map((u) => (u.uri || "") + " id" + u.id),
+        entry?.note || "",
+        ...(entry?.tags || []).map((t) => "#" + t)
+      ].join(" ").toLowerCase();
+      const visible = (!query || haystack.includes(query)) && (!tagFilter || !!entry?.tags?.includes(tagFilter));
+      const display = visible ? "" : "none";
+      if (row.item.style.display !== display) row.item.style.display = display;
+      // Without a noted date, the day the account was first captured is the best guess,
+      // as in the note editor.
+      const blockedAt = entry?.blockedAt || row.user?.capturedAt.slice(0, 10) || "";
+      if (visible && !row.gone) shown.push({ ...row, blockedAt });
+    }
+    visibleIds = shown.filter((row) => row.user).map((row) => row.user.id);
+    renderBulkBar();
+
+    const sorting = listView.sort !== "default";
+    const list = rows[0]?.item.parentElement;
+    if (list) {
+      if (sorting && getComputedStyle(list).display !== "flex") {
+        list.style.display = "flex";
+        list.style.flexDirection = "column";
+      } else if (!sorting && list.style.display === "flex") {
+        list.style.display = "";
+        list.style.flexDirection = "";
+      }
+    }
+    const sorted = shown.sort(compareRows);
+    const order = new Map(sorted.map((row, i) => [row.item, String(i)]));
+    for (const row of rows) {
+      // Hidden and unblocked rows go after the sorted ones.
+      const value = sorting ? order.get(row.item) ?? String(sorted.length) : "";
+      if (row.item.style.order !== value) row.item.style.order = value;
+    }
+
+    const counter = document.querySelector("#dtf-blocked-toolbar .dtf-blocked-counter");
+    const blocked = rows.filter((row) => !row.gone).length;
+    const total = Math.max(blocked, usersById.size, (fullLoad.total ?? 0) - unblockedIds.size);
+    const incomplete = fullLoad.status === "failed" || fullLoad.status === "partial";
+    const text = "Shown " + shown.length + " of " + total + " blocked" +
+      (fullLoad.status === "loading" ? " (loading…)" : incomplete ? " (incomplete)" : "");
+    const title = fullLoad.status === "failed" ? "Couldn't load every page: " + fullLoad.error
+      : fullLoad.status === "partial" ? "The site stopped returning new accounts before the end of the list" : "";
+    if (counter && counter.textContent !== text) counter.textContent = text;
+    if (counter && counter.title !== title) counter.title = title;
   }
 
   /**
    * Scans the current page for blocked-user items and wraps their name elements
-   * with profile links, if a matching URL exists in `urlByName`.
+   * with profile links, matching each row to a captured account by identity.
+   * Rows that can't be matched unambiguously get a marker listing all candidates.
    *
    * Runs only on "/settings/feeds" (SPA navigation supported elsewhere via route hooks).
    *
@@ -167,19 +3078,244 @@
   function linkify() {
     if (!location.pathname.startsWith("/settings/feeds")) return;
 
-    const items = document.querySelectorAll("div.feeds-settings-blocked__item");
-    for (const item of items) {
+    ensureToolbar();
+
+    const rows = [];
+    const rowsByName = new Map();
+    for (const item of document.querySelectorAll("div.feeds-settings-blocked__item")) {
       const nameEl = item.querySelector("div.feeds-settings-blocked__name");
       if (!nameEl) continue;
 
       const name = normName(nameEl.textContent);
       if (!name) continue;
 
-      const url = urlByName.get(name);
-      if (!url) continue;
+      // Unblocked in bulk: the account is forgotten, but its row stays (dimmed) until
+      // the site re-renders the list, and mustn't be matched to a namesake.
+      const gone = unblockedIds.has(Number(item.dataset.dtfUserId));
+      const nth = gone ? 0 : rowsByName.get(name) || 0;
+      if (!gone) rowsByName.set(name, nth + 1);
+      rows.push({ item, nameEl, name, nth, index: rows.length, user: null, candidates: [], gone });
+    }
+
+    const notes = loadNotes();
+    const expiries = loadExpiries();
+    for (const row of rows) {
+      if (row.gone) {
+        renderRowSelect(row.item, null);
+        continue;
+      }
+      row.candidates = usersByName.get(row.name) || [];
+      if (!row.candidates.length) continue;
+
+      row.user = matchUser(row.item, row.candidates, row.nth, rowsByName.get(row.name));
+      setAmbiguousMarker(row.nameEl, row.user ? null : row.candidates);
+      if (row.user) ensureNameLink(row.nameEl, row.user.url);
+      else removeNameLink(row.nameEl);
+      const userId = row.user ? String(row.user.id) : "";
+      if ((row.item.dataset.dtfUserId || "") !== userId) row.item.dataset.dtfUserId = userId;
+      wirePreview(row.item);
+      renderRowSelect(row.item, row.user);
+      renderRowCard(row.item, row.nameEl, row.user);
+      renderRowNotes(row.item, row.nameEl, row.user, notes, expiries);
+    }
+
+    applyListView(rows, notes);
+  }
+
+  /**
+   * Resolves an on-site link to the profile it points at.
+   * Recognizes "/id123", "/u/123-name" and single-segment "/nickname" paths, except
+   * the site's own sections.
+   *
+   * @param {HTMLAnchorElement} a
+   * @returns {{ id?: number, uri?: string }|null}
+   */
+  function profileFromLink(a) {
+    let url;
+    try {
+      url = new URL(a.href, window.location.href);
+    } catch {
+      return null;
+    }
+    if (url.origin !== window.location.origin) return null;
+
+    const segments = url.pathname.split("/").filter(Boolean);
+    let m;
+    if (segments.length && (m = /^id(\d+)$/i.exec(segments[0]))) return { id: Number(m[1]) };
+    if (segments[0] === "u" && (m = /^(\d+)/.exec(segments[1] || ""))) return { id: Number(m[1]) };
+    if (segments.length === 1 && !RESERVED_PATHS.has(segments[0].toLowerCase())) {
+      return { uri: segments[0].toLowerCase() };
+    }
+    return null;
+  }
+
+  /**
+   * Resolves a profile to the blocked account it belongs to, so "/id123" and
+   * "/nickname" of the same account compare equal.
+   *
+   * @param {{ id?: number, uri?: string }|null} profile
+   * @returns {number|null} The account id, or null when the profile isn't blocked.
+   */
+  function blockedAccountOf(profile) {
+    if (!profile) return null;
+    if (profile.id !== undefined) return blockedIds.has(profile.id) ? profile.id : null;
+    return blockedUris.get(profile.uri) ?? null;
+  }
+
+  /**
+   * Decides what a link to a blocked account hides: the comment or post it authors,
+   * a comment replying to it, or just the mention itself.
+   *
+   * @param {HTMLAnchorElement} a
+   * @param {number} account Blocked account the link points at.
+   * @returns {{ container: HTMLElement, reason: string }|null} Null for a plain mention.
+   */
+  function findTraceContainer(a, account) {
+    const comment = a.closest(COMMENT_SELECTOR);
+    if (comment) {
+      const author = Array.from(comment.querySelectorAll("a[href]"))
+        .find((link) => link.closest(COMMENT_SELECTOR) === comment && profileFromLink(link));
+      if (author && blockedAccountOf(profileFromLink(author)) === account) {
+        return { container: comment, reason: "Comment by a blocked account" };
+      }
+      if (a.closest("[class*='reply']")?.closest(COMMENT_SELECTOR) === comment) {
+        return { container: comment, reason: "Reply to a blocked account" };
+      }
+      return null;
+    }
+
+    const header = a.closest(".content-header");
+    const post = header?.closest(".content");
+    if (post) return { container: post, reason: "Post by a blocked account" };
+    return null;
+  }
+
+  /**
+   * Collapses (or restores) a comment or post. Only a class and a data attribute
+   * are set on it, as the site keeps re-rendering its children; the stylesheet
+   * draws the note with the "show" toggle.
+   *
+   * @param {HTMLElement} container
+   * @param {string|null} reason Null restores the container.
+   * @returns {void}
+   */
+  function setTraceCollapsed(container, reason) {
+    if (!reason) {
+      container.classList.remove("dtf-blocked-trace", "dtf-blocked-revealed");
+      delete container.dataset.dtfTrace;
+      return;
+    }
+    if (container.dataset.dtfTrace !== reason) container.dataset.dtfTrace = reason;
+    if (!container.classList.contains("dtf-blocked-trace")) container.classList.add("dtf-blocked-trace");
+  }
+
+  /**
+   * Toggles a collapsed comment or post when its note is clicked. The note is the
+   * container's `::before`, so a click on it lands on the container itself.
+   *
+   * @param {MouseEvent} e
+   * @returns {void}
+   */
+  function onTraceClick(e) {
+    const container = e.target;
+    if (!(container instanceof HTMLElement) || !container.classList.contains("dtf-blocked-trace")) return;
+    e.preventDefault();
+    e.stopPropagation();
+    container.classList.toggle("dtf-blocked-revealed");
+  }
+
+  /** Live lists of what the trace filter has hidden, for the pill count. */
+  const traceEls = document.getElementsByClassName("dtf-blocked-trace");
+  const mentionEls = document.getElementsByClassName("dtf-blocked-mention");
+
+  /**
+   * Hides comments, replies, posts and mentions from blocked accounts within a
+   * part of the page, and keeps the "show hidden" pill in sync. Undoes everything
+   * when the filter is off, on the blocked list itself, or on a blocked account's
+   * own profile.
+   *
+   * @param {Element} scope Subtree to (re)check; the whole page after a route change.
+   * @returns {void}
+   */
+  function scanTraces(scope) {
+    const here = profileFromLink(Object.assign(document.createElement("a"), { href: location.href }));
+    const onBlockedProfile = blockedAccountOf(here) !== null;
+    const active = hideTraces && !onBlockedProfile && !location.pathname.startsWith("/settings/feeds");
+
+    const containers = new Map();
+    const mentions = [];
+    if (active && blockedIds.size) {
+      for (const a of scope.querySelectorAll("a[href]")) {
+        if (a.closest("#dtf-blocked-toasts, #dtf-blocked-preview, #dtf-blocked-traces-pill")) continue;
+        const account = blockedAccountOf(profileFromLink(a));
+        if (account === null) continue;
+        const trace = findTraceContainer(a, account);
+        if (!trace) mentions.push(a);
+        else if (!containers.has(trace.container)) containers.set(trace.container, trace.reason);
+      }
+    }
+
+    for (const el of scope.querySelectorAll(".dtf-blocked-trace")) {
+      if (!containers.has(el)) setTraceCollapsed(el, null);
+    }
+    if (scope.classList.contains("dtf-blocked-trace") && !containers.has(scope)) setTraceCollapsed(scope, null);
+    for (const [el, reason] of containers) setTraceCollapsed(el, reason);
+
+    // Mentions inside a collapsed comment or post are hidden (and counted) with it.
+    const hidden = new Set(mentions.filter((a) => !a.closest(".dtf-blocked-trace")));
+    for (const el of scope.querySelectorAll(".dtf-blocked-mention")) {
+      if (!hidden.has(el)) el.classList.remove("dtf-blocked-mention");
+    }
+    for (const a of hidden) {
+      if (!a.classList.contains("dtf-blocked-mention")) a.classList.add("dtf-blocked-mention");
+    }
+
+    if (containers.size || hidden.size) ensureStyles();
+    document.documentElement.classList.toggle("dtf-blocked-show-hidden", revealTraces);
+    renderTracesPill(traceEls.length + mentionEls.length);
+  }
 
-      ensureNameLink(nameEl, url);
+  /**
+   * Shows how many traces are hidden on the page, with the "show hidden" toggle.
+   *
+   * @param {number} count
+   * @returns {void}
+   */
+  function renderTracesPill(count) {
+    let pill = document.getElementById("dtf-blocked-traces-pill");
+    if (!count) {
+      pill?.remove();
+      return;
     }
+    const text = count + " hidden from blocked accounts · " + (revealTraces ? "Hide" : "Show");
+    if (pill?.textContent === text) return;
+    if (!pill) {
+      pill = document.createElement("a");
+      pill.id = "dtf-blocked-traces-pill";
+      pill.href = "#";
+      pill.addEventListener("click", (e) => {
+        e.preventDefault();
+        revealTraces = !revealTraces;
+        scheduleTraceScan();
+      });
+      document.body.appendChild(pill);
+    }
+    pill.textContent = text;
+  }
+
+  /**
+   * Turns the site-wide trace filter on or off (toolbar checkbox).
+   *
+   * @param {boolean} on
+   * @returns {void}
+   */
+  function setHideTraces(on) {
+    hideTraces = on;
+    writeStore(HIDE_TRACES_KEY, hideTraces);
+    showToast(hideTraces
+      ? "Comments, replies and mentions from blocked accounts are now hidden."
+      : "Traces of blocked accounts are shown again.", []);
+    scheduleTraceScan();
   }
 
   let rafScheduled = false;
@@ -199,12 +3335,85 @@
     });
   }
 
-  onBlockedUsersResponse((json) => {
-    const users = Array.isArray(json?.result) ? json.result : [];
-    for (const u of users) {
-      const url = buildProfileUrl(u);
-      if (url && u?.name) urlByName.set(normName(u.name), url);
+  observeResponses("API context", API_BASE_RE, (res) => {
+    if (!apiContext || res.headers.keys().next().done === false) apiContext = { headers: res.headers };
+    scheduleExpiryCheck();
+  });
+
+  observeResponses("ignore calls", API_RE, learnIgnoreCall);
+
+  let traceScanScheduled = false;
+
+  /**
+   * Parts of the page to re-check on the next trace scan; null re-checks it all.
+   * @type {Set<Element>|null}
+   */
+  let traceScanScopes = new Set();
+
+  /**
+   * Coalesces trace re-scans into one per animation frame, like `scheduleLinkify()`.
+   *
+   * @param {Element[]} [scopes] Changed parts of the page; omit to re-check all of it.
+   * @returns {void}
+   */
+  function scheduleTraceScan(scopes) {
+    if (!scopes) traceScanScopes = null;
+    else if (traceScanScopes) for (const el of scopes) traceScanScopes.add(el);
+    if (traceScanScheduled) return;
+    traceScanScheduled = true;
+    requestAnimationFrame(() => {
+      traceScanScheduled = false;
+      const scopes = traceScanScopes;
+      traceScanScopes = new Set();
+      if (!scopes) scanTraces(document.documentElement);
+      else for (const el of scopes) if (el.isConnected) scanTraces(el);
+    });
+  }
+
+  /**
+   * The part of the page a trace scan re-checks after a node changed: its comment
+   * or post, whose author link decides what's hidden, or else the node's parent.
+   *
+   * @param {Node} node
+   * @returns {Element|null} Null for our own toasts, preview and pill.
+   */
+  function traceScopeOf(node) {
+    const el = node instanceof Element ? node : node.parentElement;
+    if (!el || el.closest("[id^='dtf-blocked-']")) return null;
+    return el.closest(COMMENT_SELECTOR) || el.closest(".content") || el.parentElement || el;
+  }
+
+  /**
+   * Handles DOM mutations: re-runs the blocked-list linkify and, for the changed
+   * parts of the page, the trace filter.
+   *
+   * @param {MutationRecord[]} [records] Omitted on route changes, which re-check everything.
+   * @returns {void}
+   */
+  function onDomMutation(records) {
+    scheduleLinkify();
+    if (!hideTraces && !traceEls.length && !mentionEls.length) return;
+    if (!records) {
+      scheduleTraceScan();
+      return;
+    }
+    const scopes = new Set();
+    for (const record of records) {
+      const changed = record.removedNodes.length ? [record.target, ...record.addedNodes] : record.addedNodes;
+      for (const node of changed) {
+        const scope = traceScopeOf(node);
+        if (scope) scopes.add(scope);
+      }
     }
+    if (scopes.size) scheduleTraceScan(Array.from(scopes));
+  }
+
+  onBlockedUsersResponse((json) => {
+    for (const u of extractUsers(json)) rememberUser(u);
+    const total = extractTotal(json);
+    if (total !== null) fullLoad.total = total;
+    // The site requesting its first page again means the list was (re)opened.
+    if (listRequest && !isPagedUrl(listRequest.url)) loadAllPages();
     scheduleLinkify();
   });
 
@@ -224,8 +3433,8 @@
      */
     const start = () => {
       if (!document.body) return;
-      new MutationObserver(scheduleLinkify).observe(document.body, { childList: true, subtree: true });
-      scheduleLinkify();
+      new MutationObserver(onDomMutation).observe(document.body, { childList: true, subtree: true });
+      onDomMutation();
     };
 
     if (document.readyState === "loading") {
@@ -236,6 +3445,18 @@
   }
   startObserverOnce();
 
+  installResponseObservers();
+
+  loadBlockedCache();
+
+  window.addEventListener("pagehide", flushChangelog);
+
+  document.addEventListener("click", onTraceClick, true);
+
+  startTabSync();
+
+  setInterval(checkExpiries, EXPIRY_CHECK_MS);
+
   /**
    * Route-change handler for SPA navigation.
    * Triggers a linkify pass when the path changes.
@@ -243,10 +3464,10 @@
    * @returns {void}
    */
   function onRouteChange() {
-    scheduleLinkify();
+    onDomMutation();
   }
 
-  const _pushState = history.pushState;
+  const _pushState = window.history.pushState;
 
   /**
    * Monkey-patches History.pushState to detect SPA route changes and trigger linkify.
@@ -254,13 +3475,13 @@
    * @this {History}
    * @returns {*}
    */
-  history.pushState = function() {
+  window.history.pushState = function() {
     const r = _pushState.apply(this, arguments);
     onRouteChange();
     return r;
   };
 
-  const _replaceState = history.replaceState;
+  const _replaceState = window.history.replaceState;
 
   /**
    * Monkey-patches History.replaceState to detect SPA route changes and trigger linkify.
@@ -268,7 +3489,7 @@
    * @this {History}
    * @returns {*}
    */
-  history.replaceState = function() {
+  window.history.replaceState = function() {
     const r = _replaceState.apply(this, arguments);
     onRouteChange();
     return r;